@@ -25,6 +25,12 @@ const DOM = {
     if (content) element.textContent = content;
     return element;
   },
+  escapeHTML: (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;'),
   addClass: (element, className) => element?.classList.add(className),
   removeClass: (element, className) => element?.classList.remove(className),
   toggleClass: (element, className) => element?.classList.toggle(className),
@@ -39,6 +45,12 @@ const DOM = {
     if (!element) return;
     element.style.opacity = '0';
     element.style.display = 'block';
+    
+    if (Motion.reduced) {
+      element.style.opacity = '1';
+      return;
+    }
+    
     let start = performance.now();
     
     function animate(timestamp) {
@@ -54,6 +66,13 @@ const DOM = {
   },
   fadeOut: (element, duration = 300) => {
     if (!element) return;
+    
+    if (Motion.reduced) {
+      element.style.opacity = '0';
+      element.style.display = 'none';
+      return;
+    }
+    
     let start = performance.now();
     
     function animate(timestamp) {
@@ -68,6 +87,126 @@ const DOM = {
       }
     }
     requestAnimationFrame(animate);
+  },
+  focusableSelector: [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[contenteditable="true"]',
+    '[tabindex]:not([tabindex="-1"])'
+  ].join(', '),
+  // Visible, non-inert focusable elements in document order
+  getFocusable: (containers) => [].concat(containers)
+    .filter(Boolean)
+    .flatMap(container => [container, ...container.querySelectorAll(DOM.focusableSelector)])
+    .filter(el => el.matches(DOM.focusableSelector) && !el.closest('[inert]') && el.getClientRects().length > 0)
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)),
+  // Scroll lock that keeps the page where it was (overflow: hidden alone
+  // doesn't stop iOS from scrolling the body). Nested locks are counted.
+  scrollLock: { count: 0, y: 0 },
+  lockScroll: () => {
+    if (DOM.scrollLock.count++ > 0) return;
+    
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    DOM.scrollLock.y = window.scrollY;
+    document.body.style.top = `-${DOM.scrollLock.y}px`;
+    if (scrollbarWidth > 0) {
+      document.body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+    DOM.addClass(document.body, 'no-scroll');
+  },
+  unlockScroll: () => {
+    if (DOM.scrollLock.count === 0 || --DOM.scrollLock.count > 0) return;
+    
+    DOM.removeClass(document.body, 'no-scroll');
+    document.body.style.top = '';
+    document.body.style.paddingRight = '';
+    window.scrollTo({ top: DOM.scrollLock.y, behavior: 'instant' });
+  },
+  // Dialog behaviour for any overlay: everything outside `container` (and
+  // the `include` elements, e.g. the button that toggles it) becomes inert,
+  // Tab cycles within, Escape calls onEscape, the page stops scrolling and
+  // focus moves in. Returns a release function that undoes all of it and
+  // puts focus back where it was. Only the most recent trap handles keys.
+  focusTraps: [],
+  trapFocus: (container, { include = [], initialFocus = null, onEscape = null, lockScroll = true } = {}) => {
+    const previousFocus = document.activeElement;
+    const scope = [container, ...include].filter(Boolean);
+    const inerted = [];
+    
+    // Make siblings inert on the way down to each element in scope;
+    // live regions stay reachable so status messages are still announced
+    const walk = (parent) => {
+      Array.from(parent.children).forEach(child => {
+        if (scope.includes(child) || child.hasAttribute('inert') || child.matches('script, style, [aria-live]')) return;
+        
+        if (scope.some(el => child.contains(el))) {
+          walk(child);
+        } else {
+          child.setAttribute('inert', '');
+          inerted.push(child);
+        }
+      });
+    };
+    walk(document.body);
+    
+    const trap = {
+      handleKeydown: (e) => {
+        if (DOM.focusTraps[DOM.focusTraps.length - 1] !== trap) return;
+        
+        if (e.key === 'Escape' && onEscape) {
+          e.preventDefault();
+          onEscape(e);
+          return;
+        }
+        
+        if (e.key !== 'Tab') return;
+        
+        const focusable = DOM.getFocusable(scope);
+        
+        if (focusable.length === 0) {
+          e.preventDefault();
+          container.focus();
+          return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const isOutside = !focusable.includes(document.activeElement);
+        
+        if (e.shiftKey && (document.activeElement === first || isOutside)) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || isOutside)) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    };
+    
+    DOM.focusTraps.push(trap);
+    document.addEventListener('keydown', trap.handleKeydown);
+    
+    if (lockScroll) DOM.lockScroll();
+    
+    const target = initialFocus || DOM.getFocusable(container)[0] || container;
+    target.focus({ preventScroll: true });
+    
+    return ({ restoreFocus = true } = {}) => {
+      document.removeEventListener('keydown', trap.handleKeydown);
+      DOM.focusTraps = DOM.focusTraps.filter(item => item !== trap);
+      inerted.forEach(el => el.removeAttribute('inert'));
+      
+      if (lockScroll) DOM.unlockScroll();
+      
+      if (restoreFocus && previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus({ preventScroll: true });
+      }
+    };
   }
 };
 
@@ -155,902 +294,4485 @@ const Storage = {
   }
 };
 
-// ===================================
-// NAVIGATION MODULE
-// ===================================
-
-class Navigation {
-  constructor() {
-    this.header = DOM.query('.header');
-    this.navbar = DOM.query('.navbar');
-    this.navToggle = DOM.query('.navbar-toggle');
-    this.mobileMenu = DOM.query('.navbar-mobile');
-    this.navLinks = DOM.queryAll('.nav-link');
-    this.mobileLinks = DOM.queryAll('.mobile-links a');
-    this.progressBar = DOM.query('.progress-bar');
-    
-    this.isMenuOpen = false;
-    this.lastScrollY = 0;
-    this.scrollThreshold = 100;
-    
-    this.init();
-  }
+// Internationalization
+// Catalogs live in data/i18n/<locale>.json; markup opts in with
+// data-i18n="key", data-i18n-html="key" or data-i18n-attr="attr:key,attr:key"
+const I18n = {
+  locales: ['pt-BR', 'en', 'es'],
+  defaultLocale: 'pt-BR',
+  storageKey: 'prodgio-locale',
+  basePath: 'data/i18n',
+  locale: 'pt-BR',
+  catalogs: {},
   
-  init() {
-    this.bindEvents();
-    this.updateActiveLink();
-    this.updateScrollProgress();
-  }
+  async init() {
+    await this.setLocale(this.detectLocale(), { persist: false });
+  },
   
-  bindEvents() {
-    // Mobile menu toggle
-    if (this.navToggle && this.mobileMenu) {
-      this.navToggle.addEventListener('click', () => this.toggleMobileMenu());
-    }
+  // Saved choice first, then the browser languages
+  detectLocale() {
+    const candidates = [Storage.get(this.storageKey), ...(navigator.languages || [navigator.language])];
+    return candidates.map(locale => this.resolve(locale)).find(Boolean) || this.defaultLocale;
+  },
+  
+  // Maps "en-US" → "en" and "pt" → "pt-BR"; null when unsupported
+  resolve(locale) {
+    if (!locale) return null;
     
-    // Navigation links
-    [...this.navLinks, ...this.mobileLinks].forEach(link => {
-      link.addEventListener('click', (e) => this.handleNavClick(e));
-    });
+    const lower = String(locale).toLowerCase();
+    const base = lower.split('-')[0];
     
-    // Scroll events
-    window.addEventListener('scroll', Performance.throttle(() => {
-      this.updateScrollProgress();
-      this.updateActiveLink();
-      this.handleHeaderScroll();
-    }, 16));
+    return this.locales.find(l => l.toLowerCase() === lower) ||
+      this.locales.find(l => l.toLowerCase().split('-')[0] === base) ||
+      null;
+  },
+  
+  async loadCatalog(locale) {
+    if (this.catalogs[locale]) return this.catalogs[locale];
     
-    // Resize events
-    window.addEventListener('resize', Performance.debounce(() => {
-      if (!Device.isMobile() && this.isMenuOpen) {
-        this.closeMobileMenu();
-      }
-    }, 250));
+    try {
+      const response = await fetch(`${this.basePath}/${locale}.json`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.catalogs[locale] = await response.json();
+    } catch (error) {
+      console.warn(`I18n: could not load "${locale}" catalog`, error);
+      return {};
+    }
     
-    // Close mobile menu when clicking outside
-    document.addEventListener('click', (e) => {
-      if (this.isMenuOpen && !this.mobileMenu.contains(e.target) && !this.navToggle.contains(e.target)) {
-        this.closeMobileMenu();
-      }
-    });
-  }
+    return this.catalogs[locale];
+  },
   
-  toggleMobileMenu() {
-    if (this.isMenuOpen) {
-      this.closeMobileMenu();
-    } else {
-      this.openMobileMenu();
+  async setLocale(locale, { persist = true } = {}) {
+    const resolved = this.resolve(locale) || this.defaultLocale;
+    
+    // The default catalog backs up keys missing from the others
+    await Promise.all([this.loadCatalog(this.defaultLocale), this.loadCatalog(resolved)]);
+    
+    this.locale = resolved;
+    if (persist) {
+      Storage.set(this.storageKey, resolved);
     }
-  }
+    
+    document.documentElement.lang = resolved;
+    this.apply();
+    
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: resolved } }));
+  },
   
-  openMobileMenu() {
-    DOM.addClass(this.mobileMenu, 'active');
-    DOM.addClass(this.navToggle, 'active');
-    DOM.addClass(document.body, 'no-scroll');
-    this.navToggle.setAttribute('aria-expanded', 'true');
-    this.mobileMenu.setAttribute('aria-hidden', 'false');
-    this.isMenuOpen = true;
-  }
+  lookup(locale, key) {
+    const value = key.split('.').reduce((node, part) => node?.[part], this.catalogs[locale]);
+    return typeof value === 'string' ? value : undefined;
+  },
   
-  closeMobileMenu() {
-    DOM.removeClass(this.mobileMenu, 'active');
-    DOM.removeClass(this.navToggle, 'active');
-    DOM.removeClass(document.body, 'no-scroll');
-    this.navToggle.setAttribute('aria-expanded', 'false');
-    this.mobileMenu.setAttribute('aria-hidden', 'true');
-    this.isMenuOpen = false;
-  }
+  has(key) {
+    return this.lookup(this.locale, key) !== undefined || this.lookup(this.defaultLocale, key) !== undefined;
+  },
   
-  handleNavClick(e) {
-    const href = e.target.getAttribute('href');
-    
-    if (href && href.startsWith('#')) {
-      e.preventDefault();
-      const targetId = href.substring(1);
-      const targetElement = DOM.query(`#${targetId}`);
-      
-      if (targetElement) {
-        this.scrollToElement(targetElement);
-        
-        // Close mobile menu if open
-        if (this.isMenuOpen) {
-          this.closeMobileMenu();
-        }
-      }
-    }
-  }
+  // t('validation.minLength', { min: 3 }) → "Mínimo de 3 caracteres"
+  t(key, params = {}) {
+    const message = this.lookup(this.locale, key) ?? this.lookup(this.defaultLocale, key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+  },
   
-  scrollToElement(element) {
-    const headerHeight = this.header ? this.header.offsetHeight : 0;
-    const targetPosition = element.offsetTop - headerHeight - 20;
+  apply(root = document) {
+    // Markup without a catalog entry keeps its original text
+    const translate = (key, update) => {
+      if (this.has(key)) update(this.t(key));
+    };
     
-    window.scrollTo({
-      top: targetPosition,
-      behavior: 'smooth'
+    DOM.queryAll('[data-i18n]', root).forEach(element => {
+      translate(element.dataset.i18n, text => { element.textContent = text; });
     });
-  }
-  
-  updateActiveLink() {
-    const sections = DOM.queryAll('section[id]');
-    const scrollPosition = window.scrollY + window.innerHeight / 3;
     
-    let activeSection = '';
-    
-    sections.forEach(section => {
-      const sectionTop = section.offsetTop;
-      const sectionHeight = section.offsetHeight;
-      
-      if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-        activeSection = section.id;
-      }
+    DOM.queryAll('[data-i18n-html]', root).forEach(element => {
+      translate(element.dataset.i18nHtml, html => { element.innerHTML = html; });
     });
     
-    // Update navigation links
-    this.navLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      if (href === `#${activeSection}`) {
-        DOM.addClass(link, 'active');
-        link.setAttribute('aria-current', 'page');
-      } else {
-        DOM.removeClass(link, 'active');
-        link.removeAttribute('aria-current');
-      }
+    DOM.queryAll('[data-i18n-attr]', root).forEach(element => {
+      element.dataset.i18nAttr.split(',').forEach(pair => {
+        const [attr, key] = pair.split(':').map(part => part.trim());
+        translate(key, text => element.setAttribute(attr, text));
+      });
     });
+  },
+  
+  formatDate(date, options = {}) {
+    return new Intl.DateTimeFormat(this.locale, options).format(date);
   }
+};
+
+// Color Theme
+// The inline script in index.html applies the saved theme before first paint;
+// Theme keeps it in sync afterwards and announces changes with "themechange"
+const Theme = {
+  modes: ['light', 'dark', 'system'],
+  storageKey: 'prodgio-theme',
+  preference: 'system',
+  theme: 'dark',
+  media: null,
   
-  updateScrollProgress() {
-    if (!this.progressBar) return;
+  init() {
+    const saved = Storage.get(this.storageKey);
+    this.preference = this.modes.includes(saved) ? saved : 'system';
     
-    const scrollTop = window.scrollY;
-    const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-    const scrollPercent = (scrollTop / docHeight) * 100;
+    this.media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+    this.media?.addEventListener?.('change', () => {
+      if (this.preference === 'system') this.apply();
+    });
     
-    this.progressBar.style.width = `${Math.min(scrollPercent, 100)}%`;
+    this.apply();
+  },
+  
+  // The site was designed dark, so "system" only goes light when asked to
+  resolve() {
+    if (this.preference !== 'system') return this.preference;
+    return this.media?.matches ? 'light' : 'dark';
+  },
+  
+  set(mode) {
+    if (!this.modes.includes(mode)) return;
     
-    if (scrollPercent > 90) {
-      DOM.addClass(this.progressBar, 'near-complete');
-    } else {
-      DOM.removeClass(this.progressBar, 'near-complete');
-    }
-  }
+    this.preference = mode;
+    Storage.set(this.storageKey, mode);
+    this.apply();
+  },
   
-  handleHeaderScroll() {
-    const currentScrollY = window.scrollY;
+  cycle() {
+    const index = this.modes.indexOf(this.preference);
+    this.set(this.modes[(index + 1) % this.modes.length]);
+  },
+  
+  apply() {
+    const root = document.documentElement;
+    this.theme = this.resolve();
+    root.dataset.theme = this.theme;
+    root.dataset.themePreference = this.preference;
     
-    if (currentScrollY > this.scrollThreshold) {
-      DOM.addClass(this.header, 'scrolled');
-    } else {
-      DOM.removeClass(this.header, 'scrolled');
+    const themeColor = this.getColor('--theme-color');
+    const meta = DOM.query('meta[name="theme-color"]');
+    if (meta && themeColor) {
+      meta.setAttribute('content', themeColor);
     }
     
-    this.lastScrollY = currentScrollY;
+    document.dispatchEvent(new CustomEvent('themechange', {
+      detail: { theme: this.theme, preference: this.preference }
+    }));
+  },
+  
+  getColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
   }
-}
-
-// ===================================
-// HERO EFFECTS MODULE
-// ===================================
+};
 
-class HeroEffects {
-  constructor() {
-    this.hero = DOM.query('.hero');
-    this.canvas = DOM.query('.hero-canvas');
-    this.particles = DOM.query('.hero-particles');
-    this.counters = DOM.queryAll('.hero-counter');
-    this.typewriter = DOM.query('.typewriter-text');
+// Motion Policy
+// Animations back off when the OS asks for reduced motion, the visitor turns
+// them off, Data Saver is on or the battery is low. Modules check
+// Motion.reduced and listen for "motionchange" to switch to static variants.
+const Motion = {
+  modes: ['auto', 'reduced', 'full'],
+  storageKey: 'prodgio-motion',
+  preference: 'auto', // 'auto' follows the OS, data saver and battery
+  reduced: false,
+  reasons: { os: false, saveData: false, lowBattery: false },
+  lowBatteryLevel: 0.2,
+  
+  init() {
+    const saved = Storage.get(this.storageKey);
+    this.preference = ['reduced', 'full'].includes(saved) ? saved : 'auto';
     
-    this.animationId = null;
-    this.particleArray = [];
-    this.isVisible = false;
+    const media = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    if (media) {
+      this.reasons.os = media.matches;
+      media.addEventListener?.('change', (e) => {
+        this.reasons.os = e.matches;
+        this.update();
+      });
+    }
     
-    if (this.hero) {
-      this.init();
+    const connection = navigator.connection;
+    if (connection) {
+      this.reasons.saveData = Boolean(connection.saveData);
+      connection.addEventListener?.('change', () => {
+        this.reasons.saveData = Boolean(connection.saveData);
+        this.update();
+      });
     }
-  }
+    
+    this.watchBattery();
+    this.update(true);
+  },
   
-  init() {
-    this.setupCanvas();
-    this.createParticles();
-    this.setupCounters();
-    this.setupTypewriter();
-    this.bindEvents();
-    this.startAnimation();
-  }
+  watchBattery() {
+    if (!navigator.getBattery) return;
+    
+    navigator.getBattery().then(battery => {
+      const check = () => {
+        this.reasons.lowBattery = !battery.charging && battery.level <= this.lowBatteryLevel;
+        this.update();
+      };
+      
+      battery.addEventListener('levelchange', check);
+      battery.addEventListener('chargingchange', check);
+      check();
+    }).catch(() => {});
+  },
   
-  setupCanvas() {
-    if (!this.canvas) return;
+  update(force = false) {
+    const reduced = this.preference === 'reduced' ||
+      (this.preference === 'auto' && Object.values(this.reasons).some(Boolean));
     
-    this.ctx = this.canvas.getContext('2d');
-    this.resizeCanvas();
+    if (reduced === this.reduced && !force) return;
     
-    window.addEventListener('resize', Performance.debounce(() => {
-      this.resizeCanvas();
-    }, 250));
-  }
+    this.reduced = reduced;
+    document.documentElement.dataset.motion = reduced ? 'reduced' : 'full';
+    document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced } }));
+  },
   
-  resizeCanvas() {
-    if (!this.canvas || !this.ctx) return;
+  set(preference) {
+    if (!this.modes.includes(preference)) return;
     
-    const rect = this.hero.getBoundingClientRect();
-    this.canvas.width = rect.width;
-    this.canvas.height = rect.height;
+    this.preference = preference;
+    if (preference === 'auto') {
+      Storage.remove(this.storageKey);
+    } else {
+      Storage.set(this.storageKey, preference);
+    }
+    // Forced so the toggle hears about a new preference with the same effect
+    this.update(true);
+  },
+  
+  // The footer toggle: auto → reduced → full → auto
+  cycle() {
+    const index = this.modes.indexOf(this.preference);
+    this.set(this.modes[(index + 1) % this.modes.length]);
+  },
+  
+  scrollBehavior() {
+    return this.reduced ? 'auto' : 'smooth';
   }
+};
+
+// Section Router
+// URLs are #<section> or #<section>/<target>, where the target is a services
+// tab or a portfolio case study. Section links push history entries; modules
+// that only refine the current entry (switching tabs, stepping through case
+// studies) replace it silently. Link navigation and back/forward are
+// broadcast as "routechange" so every module reacts the same way.
+const Router = {
+  currentHash: '',
+  silentPop: false,
   
-  createParticles() {
-    if (!this.canvas) return;
+  init() {
+    this.currentHash = window.location.hash;
     
-    const particleCount = Device.isMobile() ? 30 : 50;
+    window.addEventListener('popstate', () => this.handleHistory());
+    // Hashes typed into the address bar; skipped when popstate already handled them
+    window.addEventListener('hashchange', () => this.handleHistory());
+  },
+  
+  parse(hash = window.location.hash) {
+    const [section = '', ...target] = hash.replace(/^#/, '').split('/');
     
-    for (let i = 0; i < particleCount; i++) {
-      this.particleArray.push({
-        x: Math.random() * this.canvas.width,
-        y: Math.random() * this.canvas.height,
-        size: Math.random() * 3 + 1,
-        speedX: (Math.random() - 0.5) * 0.5,
-        speedY: (Math.random() - 0.5) * 0.5,
-        opacity: Math.random() * 0.5 + 0.2
-      });
+    return {
+      section: decodeURIComponent(section),
+      target: target.length ? decodeURIComponent(target.join('/')) : null
+    };
+  },
+  
+  build(section, target = null) {
+    return `#${encodeURIComponent(section)}${target ? `/${encodeURIComponent(target)}` : ''}`;
+  },
+  
+  navigate(hash, { replace = false, silent = false } = {}) {
+    const previous = this.currentHash;
+    
+    if (hash !== window.location.hash) {
+      history[replace ? 'replaceState' : 'pushState']({ hash }, '', hash);
     }
-  }
+    this.currentHash = hash;
+    
+    if (!silent) this.emit('push', previous);
+  },
   
-  setupCounters() {
+  // Undo an entry this page pushed (e.g. closing a case study) without broadcasting it
+  back() {
+    this.silentPop = true;
+    history.back();
+  },
+  
+  handleHistory() {
+    if (window.location.hash === this.currentHash) return;
+    
+    const previous = this.currentHash;
+    this.currentHash = window.location.hash;
+    
+    if (this.silentPop) {
+      this.silentPop = false;
+      return;
+    }
+    this.emit('pop', previous);
+  },
+  
+  emit(trigger, previous) {
+    document.dispatchEvent(new CustomEvent('routechange', {
+      detail: {
+        hash: this.currentHash,
+        ...this.parse(this.currentHash),
+        previous: this.parse(previous).section,
+        trigger
+      }
+    }));
+  }
+};
+
+// Analytics Consent
+// Nothing leaves the browser before the visitor opts in; until then events
+// for consent-gated sinks wait in memory (see EventBus)
+const Consent = {
+  storageKey: 'prodgio-consent',
+  state: null, // 'granted' | 'denied' | null (not asked yet)
+  
+  init() {
+    const saved = Storage.get(this.storageKey);
+    this.state = ['granted', 'denied'].includes(saved) ? saved : null;
+  },
+  
+  isGranted() {
+    return this.state === 'granted';
+  },
+  
+  set(state) {
+    this.state = state;
+    Storage.set(this.storageKey, state);
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: { state } }));
+  }
+};
+
+// Campaign Attribution
+// UTM parameters from the landing URL, kept for the session so they
+// survive reloads and can be attached to leads
+const Attribution = {
+  params: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+  storageKey: 'prodgio-utm',
+  data: {},
+  
+  init() {
+    const search = new URLSearchParams(window.location.search);
+    const found = {};
+    
+    this.params.forEach(param => {
+      const value = search.get(param);
+      if (value) found[param] = value.slice(0, 100);
+    });
+    
+    try {
+      if (Object.keys(found).length > 0) {
+        sessionStorage.setItem(this.storageKey, JSON.stringify(found));
+        this.data = found;
+      } else {
+        this.data = JSON.parse(sessionStorage.getItem(this.storageKey)) || {};
+      }
+    } catch (e) {
+      this.data = found;
+    }
+  },
+  
+  get() {
+    return { ...this.data };
+  },
+  
+  // "google / cpc / lancamento" for lead messages
+  describe() {
+    return ['utm_source', 'utm_medium', 'utm_campaign']
+      .map(param => this.data[param])
+      .filter(Boolean)
+      .join(' / ');
+  }
+};
+
+// Event Sinks
+// A sink is { name, requiresConsent, send(event) }. Local sinks see every
+// event; anything that sends data off the device must require consent.
+const EventSinks = {
+  console: () => ({
+    name: 'console',
+    requiresConsent: false,
+    send: (event) => console.log('📊', event.name, event.data)
+  }),
+  
+  // Keeps the latest events in memory, for tests and debugging
+  memory: (limit = 200) => {
+    const events = [];
+    
+    return {
+      name: 'memory',
+      requiresConsent: false,
+      events,
+      send: (event) => {
+        events.push(event);
+        if (events.length > limit) events.shift();
+      }
+    };
+  },
+  
+  beacon: (endpoint) => ({
+    name: 'beacon',
+    requiresConsent: true,
+    send: (event) => {
+      const body = JSON.stringify(event);
+      
+      if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+      
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+    }
+  })
+};
+
+// Event Bus
+// Modules publish named events (no personal data); App decides which
+// sinks receive them
+const EventBus = {
+  sinks: [],
+  pending: [],
+  maxPending: 50,
+  
+  init() {
+    document.addEventListener('consentchange', (e) => {
+      if (e.detail.state === 'granted') {
+        this.pending.forEach(event => this.dispatch(event, { consentOnly: true }));
+      }
+      this.pending = [];
+    });
+  },
+  
+  addSink(sink) {
+    this.sinks.push(sink);
+    return sink;
+  },
+  
+  publish(name, data = {}) {
+    const utm = Attribution.get();
+    const event = {
+      name,
+      data,
+      timestamp: new Date().toISOString(),
+      page: window.location.pathname + window.location.hash,
+      locale: I18n.locale,
+      ...(Object.keys(utm).length > 0 && { utm })
+    };
+    
+    this.dispatch(event);
+    
+    // Held until the visitor decides; dropped if they decline
+    if (Consent.state === null && this.sinks.some(sink => sink.requiresConsent)) {
+      this.pending.push(event);
+      if (this.pending.length > this.maxPending) this.pending.shift();
+    }
+    
+    return event;
+  },
+  
+  dispatch(event, { consentOnly = false } = {}) {
+    this.sinks.forEach(sink => {
+      if (sink.requiresConsent ? !Consent.isGranted() : consentOnly) return;
+      
+      try {
+        sink.send(event);
+      } catch (e) {
+        console.warn(`Event sink "${sink.name}" failed:`, e);
+      }
+    });
+  }
+};
+
+// Responsive Images
+// An image is a path or { src, srcset, sizes, sources: { avif, webp }, width,
+// height, placeholder }, where `placeholder` is a dominant color or the URL of a
+// tiny preview shown blurred. Images fade in over the placeholder; a failed
+// load becomes a branded gradient with initials.
+const ResponsiveImage = {
+  types: { avif: 'image/avif', webp: 'image/webp' },
+  
+  normalize(image) {
+    return typeof image === 'string' ? { src: image } : { ...image };
+  },
+  
+  // Markup for templates; hydrate() the container once it is in the document
+  render(image, { alt = '', label = alt, sizes = '100vw', width = null, height = null, className = '', loading = 'lazy' } = {}) {
+    const data = this.normalize(image);
+    const responsive = (srcset) => `srcset="${DOM.escapeHTML(srcset)}" sizes="${DOM.escapeHTML(data.sizes || sizes)}"`;
+    
+    // Modern formats first; the browser takes the first type it supports
+    const sources = Object.entries(data.sources || {})
+      .filter(([format, srcset]) => this.types[format] && srcset)
+      .map(([format, srcset]) => `<source type="${this.types[format]}" ${responsive(srcset)}>`)
+      .join('');
+    
+    const attrs = [
+      `src="${DOM.escapeHTML(data.src)}"`,
+      data.srcset ? responsive(data.srcset) : '',
+      `alt="${DOM.escapeHTML(alt)}"`,
+      `loading="${loading}"`,
+      'decoding="async"',
+      (data.width || width) ? `width="${Number(data.width || width)}" height="${Number(data.height || height)}"` : ''
+    ].filter(Boolean).join(' ');
+    
+    return `<picture class="responsive-image${className ? ` ${className}` : ''}" data-fallback="${DOM.escapeHTML(label)}"${data.placeholder ? ` data-placeholder="${DOM.escapeHTML(data.placeholder)}"` : ''}>${sources}<img ${attrs}></picture>`;
+  },
+  
+  // Watches every image in `root` once: rendered pictures and plain <img> markup
+  hydrate(root = document) {
+    DOM.queryAll('img:not([data-image-state])', root).forEach(img => {
+      const picture = img.closest('.responsive-image');
+      this.watch(img, { label: picture?.dataset.fallback || img.alt });
+    });
+  },
+  
+  watch(img, { label = img.alt } = {}) {
+    const container = img.closest('.responsive-image') || img;
+    const placeholder = container.dataset?.placeholder;
+    
+    if (placeholder) {
+      const isColor = /^(#|rgb|hsl)/.test(placeholder);
+      container.style.setProperty(isColor ? '--placeholder-color' : '--placeholder-image', isColor ? placeholder : `url("${encodeURI(placeholder)}")`);
+    }
+    
+    // Errors that happened before the script ran are only visible as naturalWidth 0
+    if (img.complete && img.getAttribute('src')) {
+      if (img.naturalWidth > 0) {
+        this.setState(img, 'loaded');
+      } else {
+        this.fail(img, label);
+      }
+      return;
+    }
+    
+    this.setState(img, 'loading');
+    img.addEventListener('load', () => {
+      this.setState(img, 'loaded');
+      DOM.fadeIn(img);
+    }, { once: true });
+    img.addEventListener('error', () => this.fail(img, label), { once: true });
+  },
+  
+  setState(img, state) {
+    img.dataset.imageState = state;
+    img.closest('.responsive-image')?.setAttribute('data-state', state);
+  },
+  
+  fail(img, label = img.closest('.responsive-image')?.dataset.fallback || img.alt) {
+    this.setState(img, 'failed');
+    (img.closest('.responsive-image') || img).replaceWith(this.createFallback(label, img.alt));
+  },
+  
+  // Brand gradient with initials; the angle varies per label so a grid of
+  // fallbacks does not look identical
+  createFallback(label = '', alt = '') {
+    const fallback = DOM.create('div', { className: 'image-fallback' });
+    const seed = Array.from(label).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+    
+    fallback.style.setProperty('--fallback-angle', `${seed % 360}deg`);
+    fallback.appendChild(DOM.create('span', {}, this.initials(label)));
+    
+    if (alt) {
+      fallback.setAttribute('role', 'img');
+      fallback.setAttribute('aria-label', alt);
+    } else {
+      fallback.setAttribute('aria-hidden', 'true');
+    }
+    
+    return fallback;
+  },
+  
+  initials(text) {
+    return text
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => part.charAt(0))
+      .join('')
+      .slice(0, 2)
+      .toUpperCase();
+  }
+};
+
+// Form Utilities
+const FormUtils = {
+  // Shows or clears the "no connection" notice next to a form's submit button
+  setConnectionWarning: (form, submitBtn, isOnline, message) => {
+    let warning = DOM.query('.connection-warning', form);
+    
+    if (isOnline) {
+      warning?.remove();
+      DOM.removeClass(submitBtn, 'is-offline');
+      submitBtn?.removeAttribute('aria-describedby');
+      return;
+    }
+    
+    if (!warning) {
+      warning = DOM.create('p', {
+        className: 'connection-warning',
+        id: `${form.id || 'form'}-connection-warning`,
+        role: 'status',
+        tabindex: '-1'
+      });
+      
+      if (submitBtn) {
+        submitBtn.insertAdjacentElement('beforebegin', warning);
+      } else {
+        form.appendChild(warning);
+      }
+    }
+    
+    warning.textContent = message;
+    DOM.addClass(submitBtn, 'is-offline');
+    submitBtn?.setAttribute('aria-describedby', warning.id);
+  },
+  
+  // Rewrites every tel field value in the submitted data as E.164
+  normalizePhones: (form, data) => {
+    DOM.queryAll('input[type="tel"][name]', form).forEach(input => {
+      const value = data[input.name];
+      if (!value) return;
+      
+      const international = input.dataset.phoneInternational !== undefined;
+      data[input.name] = Phone.normalize(value, { international }) || value;
+    });
+    
+    return data;
+  }
+};
+
+// ===================================
+// NAVIGATION MODULE
+// ===================================
+
+class Navigation {
+  constructor(config = {}) {
+    this.header = DOM.query('.header');
+    this.navbar = DOM.query('.navbar');
+    this.navToggle = DOM.query('.navbar-toggle');
+    this.mobileMenu = DOM.query('.navbar-mobile');
+    this.navLinks = DOM.queryAll('.nav-link');
+    this.mobileLinks = DOM.queryAll('.mobile-links a');
+    this.progressBar = DOM.query('.progress-bar');
+    this.languageButtons = DOM.queryAll('.language-btn[data-locale]');
+    this.themeToggles = DOM.queryAll('[data-theme-toggle]');
+    
+    this.isMenuOpen = false;
+    this.releaseMenuFocus = null;
+    this.lifecycle = new AbortController();
+    this.observers = [];
+    this.lastScrollY = 0;
+    this.scrollThreshold = 100;
+    
+    // Scroll-spy activation band: a section becomes active while it crosses it
+    this.scrollSpyRootMargin = config.scrollSpyRootMargin || '-30% 0px -60% 0px';
+    this.sections = [];
+    this.visibleSections = new Set();
+    this.activeSection = null;
+    this.isAtBottom = false;
+    
+    this.init();
+  }
+  
+  init() {
+    this.bindEvents();
+    this.setupScrollSpy();
+    this.updateScrollProgress();
+    this.updateLanguageSwitcher(I18n.locale);
+    this.updateThemeToggles();
+  }
+  
+  bindEvents() {
+    const { signal } = this.lifecycle;
+    
+    // Mobile menu toggle
+    if (this.navToggle && this.mobileMenu) {
+      this.navToggle.addEventListener('click', () => this.toggleMobileMenu(), { signal });
+    }
+    
+    // In-page links (navigation, CTAs, footer) go through the router
+    document.addEventListener('click', (e) => this.handleNavClick(e), { signal });
+    document.addEventListener('routechange', (e) => this.handleRoute(e.detail), { signal });
+    
+    // Scroll events
+    window.addEventListener('scroll', Performance.throttle(() => {
+      this.updateScrollProgress();
+      this.handleHeaderScroll();
+    }, 16), { signal });
+    
+    // Resize events
+    window.addEventListener('resize', Performance.debounce(() => {
+      if (!Device.isMobile() && this.isMenuOpen) {
+        this.closeMobileMenu();
+      }
+    }, 250), { signal });
+    
+    // Close mobile menu when clicking outside
+    document.addEventListener('click', (e) => {
+      if (this.isMenuOpen && !this.mobileMenu.contains(e.target) && !this.navToggle.contains(e.target)) {
+        this.closeMobileMenu();
+      }
+    }, { signal });
+    
+    // Language switcher
+    this.languageButtons.forEach(button => {
+      button.addEventListener('click', () => I18n.setLocale(button.dataset.locale), { signal });
+    });
+    document.addEventListener('localechange', (e) => {
+      this.updateLanguageSwitcher(e.detail.locale);
+      this.updateThemeToggles();
+    }, { signal });
+    
+    // Theme toggle (light → dark → system)
+    this.themeToggles.forEach(toggle => {
+      toggle.addEventListener('click', () => Theme.cycle(), { signal });
+    });
+    document.addEventListener('themechange', () => this.updateThemeToggles(), { signal });
+  }
+  
+  updateLanguageSwitcher(locale) {
+    this.languageButtons.forEach(button => {
+      const isActive = button.dataset.locale === locale;
+      
+      if (isActive) {
+        DOM.addClass(button, 'active');
+      } else {
+        DOM.removeClass(button, 'active');
+      }
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+  }
+  
+  updateThemeToggles() {
+    const label = I18n.t('theme.toggle', { mode: I18n.t(`theme.${Theme.preference}`) });
+    
+    this.themeToggles.forEach(toggle => {
+      toggle.setAttribute('aria-label', label);
+      toggle.setAttribute('title', label);
+    });
+  }
+  
+  toggleMobileMenu() {
+    if (this.isMenuOpen) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  }
+  
+  openMobileMenu() {
+    if (this.isMenuOpen) return;
+    
+    DOM.addClass(this.mobileMenu, 'active');
+    DOM.addClass(this.navToggle, 'active');
+    this.navToggle.setAttribute('aria-expanded', 'true');
+    this.mobileMenu.setAttribute('aria-hidden', 'false');
+    this.isMenuOpen = true;
+    
+    // The toggle stays reachable as the close button
+    this.releaseMenuFocus = DOM.trapFocus(this.mobileMenu, {
+      include: [this.navToggle],
+      onEscape: () => this.closeMobileMenu()
+    });
+  }
+  
+  closeMobileMenu() {
+    if (!this.isMenuOpen) return;
+    
+    DOM.removeClass(this.mobileMenu, 'active');
+    DOM.removeClass(this.navToggle, 'active');
+    this.navToggle.setAttribute('aria-expanded', 'false');
+    this.mobileMenu.setAttribute('aria-hidden', 'true');
+    this.isMenuOpen = false;
+    
+    this.releaseMenuFocus?.();
+    this.releaseMenuFocus = null;
+  }
+  
+  handleNavClick(e) {
+    const link = e.target.closest?.('a[href^="#"]');
+    
+    // Leave modified clicks and links without an in-page target to the browser
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    
+    const href = link.getAttribute('href');
+    if (!document.getElementById(Router.parse(href).section)) return;
+    
+    e.preventDefault();
+    
+    // Close mobile menu if open
+    if (this.isMenuOpen) {
+      this.closeMobileMenu();
+    }
+    
+    Router.navigate(href);
+  }
+  
+  handleRoute({ section, previous, trigger }) {
+    const element = document.getElementById(section);
+    if (!element) return;
+    
+    // Back/forward within a section (e.g. closing a case study) keeps scroll and focus
+    if (trigger === 'pop' && section === previous) return;
+    
+    this.scrollToElement(element);
+    this.focusSection(element);
+  }
+  
+  // Deep links land under the fixed header instead of the browser's default jump
+  handleInitialRoute() {
+    // A deep-linked modal already placed the page and locked its scroll
+    if (DOM.scrollLock.count > 0) return;
+    
+    const element = document.getElementById(Router.parse().section);
+    
+    if (element) {
+      this.scrollToElement(element, { behavior: 'auto' });
+    }
+  }
+  
+  // Move focus with the scroll so screen readers continue from the new section
+  focusSection(element) {
+    if (!element.hasAttribute('tabindex')) {
+      element.setAttribute('tabindex', '-1');
+    }
+    element.focus({ preventScroll: true });
+  }
+  
+  scrollToElement(element, { behavior = Motion.scrollBehavior() } = {}) {
+    const headerHeight = this.header ? this.header.offsetHeight : 0;
+    const targetPosition = element.offsetTop - headerHeight - 20;
+    
+    window.scrollTo({
+      top: targetPosition,
+      behavior
+    });
+  }
+  
+  // Sections are observed instead of measured on scroll, so scrolling never forces layout
+  setupScrollSpy() {
+    const ids = new Set();
+    
+    [...this.navLinks, ...this.mobileLinks].forEach(link => {
+      const href = link.getAttribute('href') || '';
+      if (href.startsWith('#') && href.length > 1) ids.add(href.substring(1));
+    });
+    
+    this.sections = Array.from(ids)
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    
+    if (!this.sections.length) return;
+    
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.visibleSections.add(entry.target);
+        } else {
+          this.visibleSections.delete(entry.target);
+        }
+      });
+      this.updateActiveSection();
+    }, { rootMargin: this.scrollSpyRootMargin, threshold: 0 });
+    
+    this.sections.forEach(section => observer.observe(section));
+    
+    // The last section (#contato) is too short to reach the band before the
+    // page runs out, so reaching the bottom of the page activates it
+    this.scrollSpySentinel = DOM.create('div', { className: 'scroll-spy-sentinel', 'aria-hidden': 'true' });
+    document.body.appendChild(this.scrollSpySentinel);
+    
+    const bottomObserver = new IntersectionObserver((entries) => {
+      this.isAtBottom = entries[entries.length - 1].isIntersecting;
+      this.updateActiveSection();
+    });
+    bottomObserver.observe(this.scrollSpySentinel);
+    
+    this.observers.push(observer, bottomObserver);
+  }
+  
+  updateActiveSection() {
+    const section = this.isAtBottom
+      ? this.sections[this.sections.length - 1]
+      : this.sections.find(candidate => this.visibleSections.has(candidate));
+    
+    // Between bands the previous section stays active
+    if (section) {
+      this.setActiveSection(section.id);
+    }
+  }
+  
+  setActiveSection(id) {
+    if (id === this.activeSection) return;
+    
+    const previous = this.activeSection;
+    this.activeSection = id;
+    
+    [...this.navLinks, ...this.mobileLinks].forEach(link => {
+      if (link.getAttribute('href') === `#${id}`) {
+        DOM.addClass(link, 'active');
+        link.setAttribute('aria-current', 'page');
+      } else {
+        DOM.removeClass(link, 'active');
+        link.removeAttribute('aria-current');
+      }
+    });
+    
+    document.dispatchEvent(new CustomEvent('sectionchange', { detail: { id, previous } }));
+  }
+  
+  updateScrollProgress() {
+    if (!this.progressBar) return;
+    
+    const scrollTop = window.scrollY;
+    const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+    const scrollPercent = (scrollTop / docHeight) * 100;
+    
+    this.progressBar.style.width = `${Math.min(scrollPercent, 100)}%`;
+    
+    if (scrollPercent > 90) {
+      DOM.addClass(this.progressBar, 'near-complete');
+    } else {
+      DOM.removeClass(this.progressBar, 'near-complete');
+    }
+  }
+  
+  handleHeaderScroll() {
+    const currentScrollY = window.scrollY;
+    
+    if (currentScrollY > this.scrollThreshold) {
+      DOM.addClass(this.header, 'scrolled');
+    } else {
+      DOM.removeClass(this.header, 'scrolled');
+    }
+    
+    this.lastScrollY = currentScrollY;
+  }
+  
+  destroy() {
+    if (this.isMenuOpen) {
+      this.closeMobileMenu();
+    }
+    
+    this.lifecycle.abort();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    this.scrollSpySentinel?.remove();
+  }
+}
+
+// ===================================
+// HERO EFFECTS MODULE
+// ===================================
+
+// ParticleDefaults and ParticleNetwork live in js/particle-network.js so the
+// hero worker (js/hero-worker.js) can share them. Where OffscreenCanvas is
+// supported the canvas is handed to the worker and HeroEffects only forwards
+// resize, visibility, pointer, color and motion changes as messages; otherwise
+// the same network runs on the main thread.
+
+class HeroEffects {
+  constructor(options = {}) {
+    this.hero = DOM.query('.hero');
+    this.canvas = DOM.query('.hero-canvas');
+    this.particles = DOM.query('.hero-particles');
+    this.counters = DOM.queryAll('.hero-counter');
+    this.typewriter = DOM.query('.typewriter-text');
+    
+    this.options = { ...ParticleDefaults, ...options };
+    this.workerUrl = options.workerUrl || 'js/hero-worker.js';
+    this.animationId = null;
+    this.network = null;
+    this.worker = null;
+    this.isVisible = false;
+    this.lifecycle = new AbortController();
+    this.observers = [];
+    
+    if (this.hero) {
+      this.init();
+    }
+  }
+  
+  init() {
+    this.setupCanvas();
+    this.setupPointer();
+    this.setupCounters();
+    this.setupTypewriter();
+    this.bindEvents();
+    this.startAnimation();
+  }
+  
+  setupCanvas() {
+    if (!this.canvas) return;
+    
+    const { signal } = this.lifecycle;
+    
+    if (!this.setupWorker()) {
+      this.setupMainThread();
+    }
+    
+    window.addEventListener('resize', Performance.debounce(() => {
+      this.resizeCanvas();
+    }, 250), { signal });
+  }
+  
+  supportsWorker() {
+    return this.options.worker !== false &&
+      typeof Worker !== 'undefined' &&
+      typeof this.canvas.transferControlToOffscreen === 'function';
+  }
+  
+  setupWorker() {
+    if (!this.supportsWorker()) return false;
+    
+    const { signal } = this.lifecycle;
+    
+    let worker = null;
+    
+    try {
+      worker = new Worker(this.workerUrl);
+      const offscreen = this.canvas.transferControlToOffscreen();
+      
+      worker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        ...this.getCanvasSize(),
+        options: this.options,
+        rgb: Theme.getColor('--particle-rgb')
+      }, [offscreen]);
+    } catch (e) {
+      worker?.terminate();
+      console.warn('Hero worker unavailable, rendering on the main thread:', e);
+      return false;
+    }
+    
+    // A worker that fails to load (or throws) already owns the canvas,
+    // so the fallback continues on a fresh one
+    worker.addEventListener('error', (e) => {
+      e.preventDefault?.();
+      this.fallbackToMainThread(e);
+    }, { signal });
+    
+    this.worker = worker;
+    return true;
+  }
+  
+  setupMainThread() {
+    this.ctx = this.canvas.getContext('2d');
+    if (!this.ctx) return;
+    
+    this.network = new ParticleNetwork(this.ctx, this.options);
+    this.resizeCanvas();
+    this.updateColors();
+  }
+  
+  fallbackToMainThread(error) {
+    console.warn('Hero worker failed, rendering on the main thread:', error.message || error);
+    
+    this.teardownWorker();
+    
+    const canvas = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(canvas);
+    this.canvas = canvas;
+    
+    this.setupMainThread();
+    this.startAnimation();
+  }
+  
+  teardownWorker() {
+    if (!this.worker) return;
+    
+    this.worker.postMessage({ type: 'destroy' });
+    this.worker.terminate();
+    this.worker = null;
+  }
+  
+  // Particle color follows the --particle-rgb custom property of the active theme
+  updateColors() {
+    const rgb = Theme.getColor('--particle-rgb');
+    
+    if (this.worker) {
+      this.worker.postMessage({ type: 'color', rgb });
+      return;
+    }
+    
+    this.network?.setColor(rgb);
+    if (Motion.reduced) this.drawParticles();
+  }
+  
+  // Backing store follows the device pixel ratio so lines stay crisp on HiDPI screens
+  getCanvasSize() {
+    const rect = this.hero.getBoundingClientRect();
+    const ratio = Device.isRetina() ? window.devicePixelRatio : 1;
+    
+    return { width: rect.width, height: rect.height, ratio };
+  }
+  
+  resizeCanvas() {
+    const { width, height, ratio } = this.getCanvasSize();
+    
+    if (this.worker) {
+      this.worker.postMessage({ type: 'resize', width, height, ratio });
+      return;
+    }
+    
+    if (!this.network) return;
+    
+    this.network.resize(width, height, ratio);
+    if (Motion.reduced || !this.animationId) this.drawParticles();
+  }
+  
+  // The canvas ignores pointer events, so track the pointer over the whole hero
+  setupPointer() {
+    if (!this.network && !this.worker) return;
+    
+    const { signal } = this.lifecycle;
+    
+    const update = (e) => {
+      const rect = this.hero.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const pressed = e.pointerType === 'touch' || e.buttons > 0;
+      
+      if (this.worker) {
+        this.worker.postMessage({ type: 'pointer', x, y, pressed });
+      } else {
+        this.network?.setPointer(x, y, pressed);
+      }
+    };
+    const clear = () => {
+      if (this.worker) {
+        this.worker.postMessage({ type: 'pointerleave' });
+      } else {
+        this.network?.clearPointer();
+      }
+    };
+    
+    this.hero.addEventListener('pointermove', update, { passive: true, signal });
+    this.hero.addEventListener('pointerdown', update, { passive: true, signal });
+    this.hero.addEventListener('pointerup', (e) => {
+      if (e.pointerType === 'touch') clear();
+      else update(e);
+    }, { passive: true, signal });
+    this.hero.addEventListener('pointerleave', clear, { signal });
+    this.hero.addEventListener('pointercancel', clear, { signal });
+  }
+  
+  setupCounters() {
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
+          this.animateCounter(entry.target);
+          entry.target.classList.add('counted');
+        }
+      });
+    }, { threshold: 0.5 });
+    
+    this.counters.forEach(counter => observer.observe(counter));
+    this.observers.push(observer);
+  }
+  
+  refreshCounters() {
+    // Finished counters keep their value but pick up the translated suffix
+    this.counters.forEach(counter => {
+      if (DOM.hasClass(counter, 'counted')) {
+        counter.textContent = parseInt(counter.dataset.target) + (counter.dataset.suffix || '');
+      }
+    });
+  }
+  
+  animateCounter(element) {
+    const target = parseInt(element.dataset.target);
+    const suffix = element.dataset.suffix || '';
+    const duration = 2000;
+    const startTime = performance.now();
+    
+    const animate = (currentTime) => {
+      const elapsed = currentTime - startTime;
+      const progress = Motion.reduced ? 1 : Math.min(elapsed / duration, 1);
+      
+      const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+      const current = Math.floor(easeOutQuart * target);
+      
+      element.textContent = current + suffix;
+      
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      }
+    };
+    
+    requestAnimationFrame(animate);
+  }
+  
+  setupTypewriter() {
+    // Reduced motion keeps the full text in place
+    if (!this.typewriter || Motion.reduced) return;
+    
+    const text = this.typewriter.textContent;
+    this.typewriter.textContent = '';
+    
+    let i = 0;
+    const typeSpeed = 50;
+    
+    const type = () => {
+      // Stop if the text was replaced meanwhile (e.g. by a language switch)
+      if (this.lifecycle.signal.aborted || this.typewriter.textContent !== text.slice(0, i)) return;
+      
+      if (Motion.reduced) {
+        this.typewriter.textContent = text;
+        return;
+      }
+      
+      if (i < text.length) {
+        this.typewriter.textContent += text.charAt(i);
+        i++;
+        setTimeout(type, typeSpeed);
+      }
+    };
+    
+    // Start typing after a delay
+    setTimeout(type, 1000);
+  }
+  
+  bindEvents() {
+    const { signal } = this.lifecycle;
+    
     const observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
-        if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
-          this.animateCounter(entry.target);
-          entry.target.classList.add('counted');
+        this.isVisible = entry.isIntersecting;
+      });
+      this.startAnimation();
+    }, { threshold: 0.1 });
+    
+    if (this.hero) {
+      observer.observe(this.hero);
+    }
+    this.observers.push(observer);
+    
+    // Pause while the tab is in the background
+    document.addEventListener('visibilitychange', () => this.startAnimation(), { signal });
+    document.addEventListener('localechange', () => this.refreshCounters(), { signal });
+    document.addEventListener('themechange', () => this.updateColors(), { signal });
+    document.addEventListener('motionchange', () => {
+      this.stopAnimation();
+      this.startAnimation();
+    }, { signal });
+  }
+  
+  shouldAnimate() {
+    return this.isVisible && !document.hidden;
+  }
+  
+  // Safe to call repeatedly: (re)starts or pauses the loop for the current state
+  startAnimation() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'motion', reduced: Motion.reduced });
+      this.worker.postMessage({ type: 'visibility', visible: this.shouldAnimate() });
+      return;
+    }
+    
+    if (!this.network) return;
+    
+    this.stopAnimation();
+    
+    // Reduced motion: a single static frame
+    if (Motion.reduced) {
+      this.drawParticles();
+      return;
+    }
+    
+    if (!this.shouldAnimate()) return;
+    
+    const animate = () => {
+      this.updateParticles();
+      this.drawParticles();
+      this.animationId = requestAnimationFrame(animate);
+    };
+    
+    animate();
+  }
+  
+  updateParticles() {
+    this.network.step();
+  }
+  
+  drawParticles() {
+    this.network?.draw();
+  }
+  
+  stopAnimation() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'visibility', visible: false });
+    }
+    
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+  
+  destroy() {
+    this.stopAnimation();
+    this.teardownWorker();
+    this.lifecycle.abort();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+  }
+}
+
+// ===================================
+// SERVICES TABS MODULE
+// ===================================
+
+class ServicesTabs {
+  constructor() {
+    this.container = DOM.query('.services-tabs');
+    this.tabList = DOM.query('.tab-buttons', this.container || document);
+    this.tabs = Array.from(DOM.queryAll('.tab-button', this.container || document));
+    this.panels = Array.from(DOM.queryAll('.tab-panel', this.container || document));
+    
+    this.activeTab = null;
+    this.hashPrefix = '#servicos/';
+    this.transitionDuration = 200;
+    this.lifecycle = new AbortController();
+    
+    if (this.container && this.tabs.length > 0) {
+      this.init();
+    }
+  }
+  
+  init() {
+    this.setupAria();
+    this.bindEvents();
+    
+    const initialTab = this.getTabFromHash() ||
+      this.tabs.find(tab => DOM.hasClass(tab, 'active')) ||
+      this.tabs[0];
+    this.selectTab(initialTab, { animate: false, updateHash: false });
+  }
+  
+  setupAria() {
+    this.tabList?.setAttribute('role', 'tablist');
+    this.tabList?.setAttribute('aria-label', I18n.t('services.tabsLabel'));
+    this.tabList?.setAttribute('data-i18n-attr', 'aria-label:services.tabsLabel');
+    
+    this.tabs.forEach(tab => {
+      const panel = this.getPanel(tab);
+      tab.id = tab.id || `tab-${tab.dataset.tab}`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('type', 'button');
+      
+      if (panel) {
+        tab.setAttribute('aria-controls', panel.id);
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', tab.id);
+        panel.setAttribute('tabindex', '0');
+      }
+    });
+  }
+  
+  bindEvents() {
+    const { signal } = this.lifecycle;
+    
+    this.tabs.forEach(tab => {
+      tab.addEventListener('click', () => this.selectTab(tab), { signal });
+      tab.addEventListener('keydown', (e) => this.handleKeydown(e, tab), { signal });
+    });
+    
+    document.addEventListener('routechange', () => {
+      const tab = this.getTabFromHash();
+      if (tab) {
+        this.selectTab(tab, { updateHash: false });
+      }
+    }, { signal });
+  }
+  
+  handleKeydown(e, tab) {
+    const index = this.tabs.indexOf(tab);
+    let nextIndex = null;
+    
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        nextIndex = (index + 1) % this.tabs.length;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        nextIndex = (index - 1 + this.tabs.length) % this.tabs.length;
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = this.tabs.length - 1;
+        break;
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+    this.selectTab(this.tabs[nextIndex]);
+    this.tabs[nextIndex].focus();
+  }
+  
+  getPanel(tab) {
+    return this.panels.find(panel => panel.id === tab.dataset.tab) || null;
+  }
+  
+  getTabFromHash() {
+    const hash = window.location.hash;
+    let name = '';
+    
+    if (hash.startsWith(this.hashPrefix)) {
+      name = decodeURIComponent(hash.slice(this.hashPrefix.length));
+    } else if (hash.length > 1) {
+      // Also accept the panel id itself, e.g. #design
+      name = decodeURIComponent(hash.slice(1));
+    }
+    
+    return this.tabs.find(tab => tab.dataset.tab === name) || null;
+  }
+  
+  selectTab(tab, { animate = true, updateHash = true } = {}) {
+    if (!tab) return;
+    
+    const previousTab = this.activeTab;
+    this.activeTab = tab;
+    
+    this.tabs.forEach(t => {
+      const isSelected = t === tab;
+      t.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+      t.setAttribute('tabindex', isSelected ? '0' : '-1');
+      
+      if (isSelected) {
+        DOM.addClass(t, 'active');
+      } else {
+        DOM.removeClass(t, 'active');
+      }
+    });
+    
+    this.showPanel(this.getPanel(tab), previousTab && previousTab !== tab ? this.getPanel(previousTab) : null, animate);
+    
+    if (updateHash && previousTab !== tab) {
+      Router.navigate(`${this.hashPrefix}${encodeURIComponent(tab.dataset.tab)}`, { replace: true, silent: true });
+    }
+  }
+  
+  showPanel(panel, previousPanel, animate) {
+    clearTimeout(this.transitionTimeout);
+    
+    const activate = () => {
+      this.panels.forEach(p => {
+        const isActive = p === panel;
+        p.hidden = !isActive;
+        DOM.removeClass(p, 'leaving');
+        
+        if (isActive) {
+          DOM.addClass(p, 'active');
+        } else {
+          DOM.removeClass(p, 'active');
+        }
+      });
+    };
+    
+    if (!animate || !previousPanel || Motion.reduced) {
+      activate();
+      return;
+    }
+    
+    // Fade the outgoing panel before the incoming one animates in
+    DOM.addClass(previousPanel, 'leaving');
+    this.transitionTimeout = setTimeout(activate, this.transitionDuration);
+  }
+  
+  destroy() {
+    clearTimeout(this.transitionTimeout);
+    this.lifecycle.abort();
+  }
+}
+
+// ===================================
+// PORTFOLIO MODULE
+// ===================================
+
+// Infinite scroll is opt-in through window.PRODGIO_CONFIG.portfolio or a
+// data-infinite-scroll attribute on .portfolio-grid
+const PortfolioDefaults = {
+  itemsPerPage: 6,
+  infiniteScroll: false,
+  // How early the next page loads, ahead of the end of the grid
+  sentinelMargin: '400px 0px',
+  // Revealed items further than this from the viewport are recycled
+  recycleMargin: '1500px 0px'
+};
+
+class Portfolio {
+  constructor(config = {}) {
+    this.config = { ...PortfolioDefaults, ...config };
+    this.container = DOM.query('.portfolio');
+    this.grid = DOM.query('.portfolio-grid');
+    this.filtersContainer = DOM.query('.portfolio-filters');
+    this.filters = DOM.queryAll('.filter-btn');
+    this.items = DOM.queryAll('.portfolio-item');
+    this.loadMoreBtn = DOM.query('.load-more-btn');
+    this.searchInput = DOM.query('.portfolio-search input');
+    this.matchSelect = DOM.query('.portfolio-match');
+    this.sortSelect = DOM.query('.portfolio-sort');
+    this.emptyState = DOM.query('.portfolio-empty');
+    this.status = DOM.query('.portfolio-status');
+    this.progress = DOM.query('.portfolio-progress');
+    
+    // Filter state, mirrored to ?q=&tags=&match=&sort= so views can be shared
+    this.query = '';
+    this.selectedTags = [];
+    this.matchMode = 'any'; // 'any' (OR) | 'all' (AND)
+    this.sortMode = 'featured'; // 'featured' (manifest order) | 'date' | 'name'
+    this.itemsPerPage = this.config.itemsPerPage;
+    this.currentPage = 1;
+    this.revealTimers = [];
+    
+    // Infinite scroll: a sentinel after the grid loads the next page and
+    // offscreen items park their content in a fragment until they return
+    this.infiniteScroll = 'IntersectionObserver' in window &&
+      (this.config.infiniteScroll || Boolean(this.grid?.hasAttribute('data-infinite-scroll')));
+    this.sentinel = null;
+    this.sentinelObserver = null;
+    this.recycleObserver = null;
+    this.sentinelTimer = null;
+    this.itemData = new WeakMap();
+    this.parked = new Map();
+    this.lifecycle = new AbortController();
+    
+    // Projects manifest (falls back to the static markup when unavailable)
+    this.manifestUrl = this.grid?.dataset.manifest || 'data/portfolio.json';
+    this.projects = [];
+    
+    this.modal = null;
+    this.isModalOpen = false;
+    this.activeItem = null;
+    this.galleryImages = [];
+    this.galleryIndex = 0;
+    this.releaseModalFocus = null;
+    this.historyEntry = false;
+    this.hashPrefix = '#portfolio/';
+    
+    if (this.container) {
+      this.ready = this.init();
+    }
+  }
+  
+  async init() {
+    this.createModal();
+    this.bindEvents();
+    
+    const manifest = await this.loadManifest();
+    if (manifest) {
+      this.renderFromManifest(manifest);
+    }
+    ResponsiveImage.hydrate(this.grid);
+    
+    this.readState();
+    if (this.searchInput) this.searchInput.value = this.query;
+    this.updateControls();
+    this.updateFilterCounts();
+    this.showItems();
+    
+    if (this.infiniteScroll) {
+      this.setupInfiniteScroll();
+    }
+    
+    this.openFromHash();
+  }
+  
+  async loadManifest() {
+    if (!this.grid || !window.fetch) return null;
+    
+    try {
+      const response = await fetch(this.manifestUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const manifest = await response.json();
+      return Array.isArray(manifest.projects) && manifest.projects.length > 0 ? manifest : null;
+    } catch (e) {
+      console.warn('Portfolio manifest unavailable, using static markup:', e);
+      return null;
+    }
+  }
+  
+  renderFromManifest(manifest) {
+    this.projects = manifest.projects;
+    
+    this.grid.innerHTML = this.projects.map(project => this.renderItem(project)).join('');
+    this.items = DOM.queryAll('.portfolio-item', this.grid);
+    this.itemData = new WeakMap();
+    
+    if (this.filtersContainer) {
+      this.filtersContainer.innerHTML = this.renderFilters(manifest.categories || []);
+      this.filters = DOM.queryAll('.filter-btn', this.filtersContainer);
+    }
+    
+    this.currentPage = 1;
+  }
+  
+  renderFilters(categories) {
+    // Fall back to the categories used by the projects when none are declared
+    const declared = categories.length > 0 ?
+      categories :
+      [...new Set(this.projects.flatMap(project => project.categories || []))]
+        .map(id => ({ id, label: id.charAt(0).toUpperCase() + id.slice(1) }));
+    
+    const buttons = [{ id: 'all', label: I18n.t('portfolio.categories.all') }, ...declared].map(category => {
+      // Catalog labels (portfolio.categories.<id>) win over the manifest label
+      const key = `portfolio.categories.${category.id}`;
+      const label = I18n.has(key) ? I18n.t(key) : category.label;
+      
+      return `
+      <button class="filter-btn${category.id === 'all' ? ' active' : ''}" type="button" aria-pressed="${category.id === 'all'}" data-filter="${DOM.escapeHTML(category.id)}">
+        <span class="filter-label" data-i18n="${DOM.escapeHTML(key)}">${DOM.escapeHTML(label)}</span> <span class="filter-count">0</span>
+      </button>
+    `;
+    });
+    
+    return buttons.join('');
+  }
+  
+  renderItem(project) {
+    const slug = project.slug || this.slugify(project.title || '');
+    const images = project.images || [];
+    const sources = images.map(image => ResponsiveImage.normalize(image).src);
+    const link = project.links?.live || '';
+    const attrs = [
+      `data-category="${DOM.escapeHTML((project.categories || []).join(','))}"`,
+      `data-slug="${DOM.escapeHTML(slug)}"`,
+      project.date ? `data-date="${DOM.escapeHTML(project.date)}"` : '',
+      link ? `data-link="${DOM.escapeHTML(link)}"` : '',
+      images.length > 1 ? `data-gallery="${DOM.escapeHTML(sources.join(','))}"` : ''
+    ].filter(Boolean).join(' ');
+    
+    const image = images.length > 0 ?
+      ResponsiveImage.render(images[0], {
+        alt: project.title,
+        sizes: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 400px'
+      }) :
+      ResponsiveImage.createFallback(project.title || '', project.title || '').outerHTML;
+    
+    const tags = (project.tags || [])
+      .map(tag => `<span class="tag">${DOM.escapeHTML(tag)}</span>`)
+      .join('');
+    
+    return `
+      <article class="portfolio-item" ${attrs}>
+        <div class="portfolio-image">
+          ${image}
+          <div class="portfolio-overlay">
+            <div class="portfolio-actions">
+              <button class="portfolio-btn" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.view'))}" data-action="view" data-i18n-attr="aria-label:portfolio.view">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                  <circle cx="12" cy="12" r="3"/>
+                </svg>
+              </button>
+              ${link ? `
+              <button class="portfolio-btn" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.externalLink'))}" data-action="link" data-i18n-attr="aria-label:portfolio.externalLink">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M7 17L17 7"/>
+                  <path d="M7 7h10v10"/>
+                </svg>
+              </button>` : ''}
+            </div>
+          </div>
+        </div>
+        <div class="portfolio-content">
+          <h3 class="portfolio-title">${DOM.escapeHTML(project.title)}</h3>
+          <p class="portfolio-description">${DOM.escapeHTML(project.description || '')}</p>
+          <div class="portfolio-tags">${tags}</div>
+        </div>
+      </article>
+    `;
+  }
+  
+  bindEvents() {
+    const { signal } = this.lifecycle;
+    
+    // Filter buttons (delegated so generated filters work too)
+    if (this.filtersContainer) {
+      this.filtersContainer.addEventListener('click', (e) => {
+        const filterBtn = e.target.closest('.filter-btn');
+        if (!filterBtn) return;
+        
+        e.preventDefault();
+        this.handleFilterClick(filterBtn);
+      }, { signal });
+    }
+    
+    // Search, match mode and sort
+    if (this.searchInput) {
+      this.searchInput.addEventListener('input', Performance.debounce(() => {
+        this.query = this.searchInput.value.trim();
+        this.applyFilters();
+      }, 200), { signal });
+    }
+    
+    this.matchSelect?.addEventListener('change', () => {
+      this.matchMode = this.matchSelect.value === 'all' ? 'all' : 'any';
+      this.applyFilters();
+    }, { signal });
+    
+    this.sortSelect?.addEventListener('change', () => {
+      this.sortMode = this.sortSelect.value;
+      EventBus.publish('portfolio_sort', { sort: this.sortMode });
+      this.applyFilters();
+    }, { signal });
+    
+    DOM.queryAll('[data-portfolio-reset]', this.container).forEach(button => {
+      button.addEventListener('click', () => this.resetFilters(), { signal });
+    });
+    
+    // Load more button
+    if (this.loadMoreBtn) {
+      this.loadMoreBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.loadMore();
+      }, { signal });
+    }
+    
+    // Portfolio item clicks (delegated so rendered items work too)
+    if (this.grid) {
+      this.grid.addEventListener('click', (e) => {
+        const item = e.target.closest('.portfolio-item');
+        if (!item) return;
+        
+        const linkBtn = e.target.closest('[data-action="link"]');
+        
+        if (linkBtn && item.dataset.link) {
+          window.open(item.dataset.link, '_blank', 'noopener');
+          return;
+        }
+        
+        this.openPortfolioModal(item);
+      }, { signal });
+    }
+    
+    // Deep links to a case study, including back/forward
+    document.addEventListener('routechange', () => this.openFromHash(), { signal });
+    
+    document.addEventListener('localechange', () => {
+      if (this.sortMode === 'name') this.showItems();
+      if (this.status?.textContent) this.updateStatus();
+      this.updateProgress();
+    }, { signal });
+  }
+  
+  // "All" clears the selection; any other filter toggles in or out of it
+  handleFilterClick(filterBtn) {
+    const filter = filterBtn.dataset.filter;
+    
+    if (filter === 'all') {
+      if (this.selectedTags.length === 0) return;
+      this.selectedTags = [];
+    } else if (this.selectedTags.includes(filter)) {
+      this.selectedTags = this.selectedTags.filter(tag => tag !== filter);
+    } else {
+      this.selectedTags = [...this.selectedTags, filter];
+    }
+    
+    EventBus.publish('portfolio_filter', { filter, tags: this.selectedTags, match: this.matchMode });
+    
+    this.applyFilters();
+  }
+  
+  applyFilters() {
+    this.currentPage = 1;
+    
+    this.updateControls();
+    this.updateFilterCounts();
+    this.filterItems();
+    this.updateLoadMoreButton();
+    this.updateStatus();
+    this.writeState();
+  }
+  
+  resetFilters() {
+    this.query = '';
+    this.selectedTags = [];
+    this.matchMode = 'any';
+    this.sortMode = 'featured';
+    
+    if (this.searchInput) this.searchInput.value = '';
+    this.applyFilters();
+    this.searchInput?.focus();
+  }
+  
+  readState() {
+    const params = new URLSearchParams(window.location.search);
+    const known = new Set(Array.from(this.filters).map(btn => btn.dataset.filter));
+    
+    this.query = (params.get('q') || '').trim();
+    this.selectedTags = (params.get('tags') || '')
+      .split(/[\s,]+/)
+      .filter(tag => tag && tag !== 'all' && known.has(tag));
+    this.matchMode = params.get('match') === 'all' ? 'all' : 'any';
+    
+    const sort = params.get('sort');
+    this.sortMode = ['date', 'name'].includes(sort) ? sort : 'featured';
+  }
+  
+  // Only non-default values are written; other parameters (UTM etc.) and the hash are kept
+  writeState() {
+    const url = new URL(window.location.href);
+    const values = {
+      q: this.query,
+      tags: this.selectedTags.join(' '), // serialized as tags=website+app
+      match: this.matchMode === 'all' ? 'all' : '',
+      sort: this.sortMode === 'featured' ? '' : this.sortMode
+    };
+    
+    Object.entries(values).forEach(([key, value]) => {
+      if (value) {
+        url.searchParams.set(key, value);
+      } else {
+        url.searchParams.delete(key);
+      }
+    });
+    
+    if (url.href !== window.location.href) {
+      history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    }
+  }
+  
+  updateControls() {
+    this.filters.forEach(btn => {
+      const filter = btn.dataset.filter;
+      const isActive = filter === 'all' ?
+        this.selectedTags.length === 0 :
+        this.selectedTags.includes(filter);
+      
+      if (isActive) {
+        DOM.addClass(btn, 'active');
+      } else {
+        DOM.removeClass(btn, 'active');
+      }
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    if (this.matchSelect) {
+      this.matchSelect.value = this.matchMode;
+      // The mode only matters once more than one filter is selected
+      this.matchSelect.disabled = this.selectedTags.length < 2;
+    }
+    
+    if (this.sortSelect) {
+      this.sortSelect.value = this.sortMode;
+    }
+  }
+  
+  filterItems() {
+    const filteredItems = this.getFilteredItems();
+    
+    // Cancel reveals still pending from the previous filter
+    this.revealTimers.forEach(timer => clearTimeout(timer));
+    this.revealTimers = [];
+    
+    // Hide all items first
+    this.items.forEach(item => {
+      DOM.addClass(item, 'hidden');
+      DOM.removeClass(item, 'animate-in');
+    });
+    
+    // Grid order follows the sort, so keyboard and reading order match the layout
+    if (this.grid) {
+      this.sortItems(Array.from(this.items)).forEach(item => this.grid.appendChild(item));
+    }
+    
+    // Show filtered items with animation
+    const visibleItems = filteredItems.slice(0, this.itemsPerPage * this.currentPage);
+    
+    if (Motion.reduced) {
+      this.revealItems(visibleItems);
+    } else {
+      this.revealTimers.push(setTimeout(() => this.revealItems(visibleItems), 300));
+    }
+    
+    if (this.emptyState) {
+      this.emptyState.hidden = filteredItems.length > 0;
+    }
+    
+    this.updateProgress();
+    this.checkSentinel(Motion.reduced ? 0 : 300 + visibleItems.length * 100);
+  }
+  
+  // Staggered entrance; all at once when motion is reduced.
+  // Returns how long the entrance takes, in milliseconds.
+  revealItems(items) {
+    items.forEach((item, index) => {
+      if (Motion.reduced) {
+        DOM.removeClass(item, 'hidden');
+        return;
+      }
+      
+      this.revealTimers.push(setTimeout(() => {
+        DOM.removeClass(item, 'hidden');
+        DOM.addClass(item, 'animate-in');
+      }, index * 100));
+    });
+    
+    return Motion.reduced ? 0 : items.length * 100;
+  }
+  
+  // Search text and the selected filters, in the current sort order
+  getFilteredItems() {
+    const matches = Array.from(this.items).filter(item => {
+      if (!this.matchesQuery(item)) return false;
+      if (this.selectedTags.length === 0) return true;
+      
+      const categories = this.getCategories(item);
+      return this.matchMode === 'all' ?
+        this.selectedTags.every(tag => categories.includes(tag)) :
+        this.selectedTags.some(tag => categories.includes(tag));
+    });
+    
+    return this.sortItems(matches);
+  }
+  
+  getCategories(item) {
+    return item.dataset.category?.split(',').map(category => category.trim()) || [];
+  }
+  
+  matchesQuery(item) {
+    if (!this.query) return true;
+    
+    const data = this.getItemData(item);
+    const haystack = this.normalizeText([data.title, data.description, ...data.tags].join(' '));
+    
+    // Every word has to appear somewhere, in any order
+    return this.normalizeText(this.query)
+      .split(/\s+/)
+      .every(word => haystack.includes(word));
+  }
+  
+  // Case- and accent-insensitive, so "aplicacao" finds "Aplicação"
+  normalizeText(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+  
+  sortItems(items) {
+    if (this.sortMode === 'date') {
+      // Newest first; undated projects keep their order at the end
+      return [...items].sort((a, b) => (b.dataset.date || '').localeCompare(a.dataset.date || ''));
+    }
+    
+    if (this.sortMode === 'name') {
+      const title = item => this.getItemData(item).title;
+      return [...items].sort((a, b) => title(a).localeCompare(title(b), I18n.locale, { sensitivity: 'base' }));
+    }
+    
+    // Featured: the order of the manifest (or the markup)
+    return items;
+  }
+  
+  hasMore() {
+    return this.currentPage * this.itemsPerPage < this.getFilteredItems().length;
+  }
+  
+  loadMore() {
+    if (!this.hasMore()) return;
+    
+    this.currentPage++;
+    const filteredItems = this.getFilteredItems();
+    const startIndex = (this.currentPage - 1) * this.itemsPerPage;
+    const endIndex = this.currentPage * this.itemsPerPage;
+    
+    const duration = this.revealItems(filteredItems.slice(startIndex, endIndex));
+    
+    this.updateLoadMoreButton();
+    this.updateProgress();
+    this.announceProgress();
+    this.checkSentinel(duration);
+  }
+  
+  // Kept in infinite mode too, as the keyboard and no-observer fallback
+  updateLoadMoreButton() {
+    if (!this.loadMoreBtn) return;
+    
+    if (this.hasMore()) {
+      DOM.show(this.loadMoreBtn);
+    } else {
+      DOM.hide(this.loadMoreBtn);
+    }
+  }
+  
+  getProgress() {
+    const total = this.getFilteredItems().length;
+    return { count: Math.min(this.currentPage * this.itemsPerPage, total), total };
+  }
+  
+  // Visible "N of M" next to the button; only shown when there are pages
+  updateProgress() {
+    if (!this.progress) return;
+    
+    const { count, total } = this.getProgress();
+    this.progress.hidden = total <= this.itemsPerPage;
+    this.progress.textContent = I18n.t('portfolio.loaded', { count, total });
+  }
+  
+  announceProgress() {
+    if (this.status) {
+      this.status.textContent = I18n.t('portfolio.loaded', this.getProgress());
+    }
+  }
+  
+  setupInfiniteScroll() {
+    DOM.addClass(this.container, 'infinite-scroll');
+    
+    this.sentinel = DOM.create('div', { className: 'portfolio-sentinel', 'aria-hidden': 'true' });
+    this.grid.after(this.sentinel);
+    
+    this.sentinelObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting) && !this.isModalOpen) {
+        this.loadMore();
+      }
+    }, { rootMargin: this.config.sentinelMargin });
+    
+    this.sentinelObserver.observe(this.sentinel);
+    
+    this.recycleObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.restoreItem(entry.target);
+        } else {
+          this.parkItem(entry.target);
         }
       });
-    }, { threshold: 0.5 });
+    }, { rootMargin: this.config.recycleMargin });
+    
+    this.items.forEach(item => this.recycleObserver.observe(item));
+  }
+  
+  // Observers only report changes, so once a page has finished revealing the
+  // sentinel is observed again: if it is still in range the next page loads
+  checkSentinel(delay = 0) {
+    if (!this.sentinelObserver) return;
+    
+    clearTimeout(this.sentinelTimer);
+    this.sentinelTimer = setTimeout(() => {
+      this.sentinelObserver.unobserve(this.sentinel);
+      this.sentinelObserver.observe(this.sentinel);
+    }, delay);
+  }
+  
+  // Moves an item's content into a fragment, keeping its last height so the
+  // grid does not jump. Hidden (filtered or unloaded) items are parked too.
+  parkItem(item) {
+    if (this.parked.has(item) || item.contains(document.activeElement)) return;
+    
+    this.getItemData(item);
+    
+    const height = item.offsetHeight;
+    if (height > 0) {
+      item.style.minHeight = `${height}px`;
+    }
+    
+    const fragment = document.createDocumentFragment();
+    while (item.firstChild) {
+      fragment.appendChild(item.firstChild);
+    }
+    
+    this.parked.set(item, fragment);
+    DOM.addClass(item, 'recycled');
+  }
+  
+  restoreItem(item) {
+    const fragment = this.parked.get(item);
+    if (!fragment) return;
+    
+    item.appendChild(fragment);
+    this.parked.delete(item);
+    DOM.removeClass(item, 'recycled');
+    item.style.minHeight = '';
+    
+    // The locale may have changed while the content was detached
+    I18n.apply(item);
+  }
+  
+  // Each badge shows how many projects match the search with that filter,
+  // independent of the other selected filters
+  updateFilterCounts() {
+    const searched = Array.from(this.items).filter(item => this.matchesQuery(item));
+    
+    this.filters.forEach(filter => {
+      const filterValue = filter.dataset.filter;
+      const count = filterValue === 'all' ?
+        searched.length :
+        searched.filter(item => this.getCategories(item).includes(filterValue)).length;
+      
+      const countElement = filter.querySelector('.filter-count');
+      if (countElement) {
+        countElement.textContent = count;
+      }
+    });
+  }
+  
+  // Announced to screen readers after each change (not on first load)
+  updateStatus() {
+    if (!this.status) return;
+    
+    const count = this.getFilteredItems().length;
+    this.status.textContent = count === 0 ?
+      I18n.t('portfolio.empty') :
+      I18n.t('portfolio.results', { count, total: this.items.length });
+  }
+  
+  showItems() {
+    this.filterItems();
+    this.updateLoadMoreButton();
+  }
+  
+  createModal() {
+    const { signal } = this.lifecycle;
+    
+    this.modal = DOM.create('div', {
+      className: 'portfolio-modal',
+      id: 'portfolio-modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'portfolio-modal-title',
+      'aria-hidden': 'true',
+      innerHTML: `
+        <div class="portfolio-modal-backdrop" data-modal-close></div>
+        <div class="portfolio-modal-dialog" tabindex="-1">
+          <button class="portfolio-modal-close" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.modal.close'))}" data-i18n-attr="aria-label:portfolio.modal.close" data-modal-close>
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <path d="M18 6 6 18"/>
+              <path d="m6 6 12 12"/>
+            </svg>
+          </button>
+          <div class="portfolio-modal-gallery">
+            <div class="portfolio-modal-figure">
+              <img class="portfolio-modal-image" src="" alt="">
+              <button class="gallery-btn prev" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.modal.prevImage'))}" data-i18n-attr="aria-label:portfolio.modal.prevImage">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <path d="m15 18-6-6 6-6"/>
+                </svg>
+              </button>
+              <button class="gallery-btn next" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.modal.nextImage'))}" data-i18n-attr="aria-label:portfolio.modal.nextImage">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <path d="m9 18 6-6-6-6"/>
+                </svg>
+              </button>
+            </div>
+            <div class="gallery-thumbs" role="group" aria-label="${DOM.escapeHTML(I18n.t('portfolio.modal.images'))}" data-i18n-attr="aria-label:portfolio.modal.images"></div>
+          </div>
+          <div class="portfolio-modal-body">
+            <h2 class="portfolio-modal-title" id="portfolio-modal-title"></h2>
+            <p class="portfolio-modal-description"></p>
+            <div class="portfolio-tags portfolio-modal-tags"></div>
+            <div class="portfolio-modal-footer">
+              <a class="portfolio-modal-link cta-primary" href="#" target="_blank" rel="noopener noreferrer">
+                <span data-i18n="portfolio.modal.visit">${I18n.t('portfolio.modal.visit')}</span>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <path d="M7 17L17 7"/>
+                  <path d="M7 7h10v10"/>
+                </svg>
+              </a>
+              <div class="portfolio-modal-nav">
+                <button class="modal-nav-btn prev" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.modal.prevProject'))}" data-i18n-attr="aria-label:portfolio.modal.prevProject">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="m15 18-6-6 6-6"/>
+                  </svg>
+                </button>
+                <span class="portfolio-modal-counter" aria-live="polite"></span>
+                <button class="modal-nav-btn next" type="button" aria-label="${DOM.escapeHTML(I18n.t('portfolio.modal.nextProject'))}" data-i18n-attr="aria-label:portfolio.modal.nextProject">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="m9 18 6-6-6-6"/>
+                  </svg>
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      `
+    });
+    
+    document.body.appendChild(this.modal);
+    
+    this.modalDialog = DOM.query('.portfolio-modal-dialog', this.modal);
+    this.modalImage = DOM.query('.portfolio-modal-image', this.modal);
+    this.modalFallback = null;
+    this.modalThumbs = DOM.query('.gallery-thumbs', this.modal);
+    this.modalTitle = DOM.query('.portfolio-modal-title', this.modal);
+    this.modalDescription = DOM.query('.portfolio-modal-description', this.modal);
+    this.modalTags = DOM.query('.portfolio-modal-tags', this.modal);
+    this.modalLink = DOM.query('.portfolio-modal-link', this.modal);
+    this.modalCounter = DOM.query('.portfolio-modal-counter', this.modal);
+    
+    DOM.queryAll('[data-modal-close]', this.modal).forEach(el => {
+      el.addEventListener('click', () => this.closePortfolioModal(), { signal });
+    });
+    
+    // Missing or broken images show the branded fallback instead
+    this.modalImage.addEventListener('error', () => {
+      if (this.modalImage.getAttribute('src')) this.showImageFallback();
+    }, { signal });
+    this.modalImage.addEventListener('load', () => DOM.fadeIn(this.modalImage), { signal });
+    
+    DOM.query('.gallery-btn.prev', this.modal).addEventListener('click', () => this.showGalleryImage(this.galleryIndex - 1), { signal });
+    DOM.query('.gallery-btn.next', this.modal).addEventListener('click', () => this.showGalleryImage(this.galleryIndex + 1), { signal });
+    DOM.query('.modal-nav-btn.prev', this.modal).addEventListener('click', () => this.navigateModal(-1), { signal });
+    DOM.query('.modal-nav-btn.next', this.modal).addEventListener('click', () => this.navigateModal(1), { signal });
+    
+  }
+  
+  // Cached per item: recycled items have no content to read from
+  getItemData(item) {
+    if (this.itemData.has(item)) {
+      return this.itemData.get(item);
+    }
+    
+    const title = DOM.query('.portfolio-title', item)?.textContent.trim() || '';
+    const image = DOM.query('.portfolio-image img, .portfolio-image .image-fallback', item);
+    const gallery = item.dataset.gallery?.split(',').map(src => src.trim()).filter(Boolean) || [];
+    
+    const data = {
+      slug: item.dataset.slug || this.slugify(title),
+      title,
+      description: DOM.query('.portfolio-description', item)?.textContent.trim() || '',
+      tags: Array.from(DOM.queryAll('.tag', item)).map(tag => tag.textContent.trim()),
+      images: gallery.length > 0 ? gallery : (image?.getAttribute('src') ? [image.getAttribute('src')] : []),
+      alt: image?.getAttribute('alt') || image?.getAttribute('aria-label') || title,
+      link: item.dataset.link || ''
+    };
+    
+    this.itemData.set(item, data);
+    return data;
+  }
+  
+  slugify(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+  
+  findItemBySlug(slug) {
+    return Array.from(this.items).find(item => this.getItemData(item).slug === slug) || null;
+  }
+  
+  openFromHash() {
+    const hash = window.location.hash;
+    
+    if (hash.startsWith(this.hashPrefix)) {
+      const item = this.findItemBySlug(decodeURIComponent(hash.slice(this.hashPrefix.length)));
+      if (item) {
+        // A deep link can open the modal before the initial route is applied;
+        // land on the section first so the scroll lock (and closing) keeps it
+        if (!this.isModalOpen) this.scrollToSection();
+        this.openPortfolioModal(item, { updateHash: false });
+      }
+    } else if (this.isModalOpen) {
+      this.closePortfolioModal({ updateHash: false });
+    }
+  }
+  
+  scrollToSection() {
+    const section = this.grid?.closest('section');
+    if (!section) return;
+    
+    const header = DOM.query('.header');
+    window.scrollTo({
+      top: section.offsetTop - (header ? header.offsetHeight : 0) - 20,
+      behavior: 'instant'
+    });
+  }
+  
+  setHash(hash, { replace = true } = {}) {
+    if (window.location.hash === hash) return;
+    Router.navigate(hash, { replace, silent: true });
+  }
+  
+  openPortfolioModal(item, { updateHash = true } = {}) {
+    if (!this.modal || !item) return;
+    
+    const data = this.getItemData(item);
+    this.activeItem = item;
+    this.renderModal(data);
+    
+    const isOpening = !this.isModalOpen;
+    
+    if (!this.isModalOpen) {
+      DOM.addClass(this.modal, 'active');
+      this.modal.setAttribute('aria-hidden', 'false');
+      this.isModalOpen = true;
+      this.releaseModalFocus = DOM.trapFocus(this.modal, {
+        initialFocus: this.modalDialog,
+        onEscape: () => this.closePortfolioModal()
+      });
+    }
+    
+    // Opening adds a history entry so Back closes the case study;
+    // stepping between case studies only replaces it
+    if (updateHash) {
+      const hash = `${this.hashPrefix}${encodeURIComponent(data.slug)}`;
+      
+      if (isOpening && window.location.hash !== hash) {
+        this.historyEntry = true;
+      }
+      this.setHash(hash, { replace: !isOpening });
+    }
+  }
+  
+  closePortfolioModal({ updateHash = true } = {}) {
+    if (!this.isModalOpen) return;
+    
+    DOM.removeClass(this.modal, 'active');
+    this.modal.setAttribute('aria-hidden', 'true');
+    this.isModalOpen = false;
+    this.activeItem = null;
+    
+    if (updateHash) {
+      if (this.historyEntry && window.location.hash.startsWith(this.hashPrefix)) {
+        Router.back();
+      } else {
+        this.setHash('#portfolio');
+      }
+    }
+    this.historyEntry = false;
+    
+    // Returns focus to the element that opened the modal
+    this.releaseModalFocus?.();
+    this.releaseModalFocus = null;
+    
+    // Pages are not loaded behind the modal
+    this.checkSentinel();
+  }
+  
+  renderModal(data) {
+    this.modalTitle.textContent = data.title;
+    this.modalDescription.textContent = data.description;
+    
+    this.modalTags.innerHTML = '';
+    data.tags.forEach(tag => {
+      this.modalTags.appendChild(DOM.create('span', { className: 'tag' }, tag));
+    });
+    
+    if (data.link) {
+      this.modalLink.href = data.link;
+      DOM.removeClass(this.modalLink, 'hidden');
+    } else {
+      this.modalLink.removeAttribute('href');
+      DOM.addClass(this.modalLink, 'hidden');
+    }
+    
+    // Gallery
+    this.galleryImages = data.images;
+    this.galleryAlt = data.alt;
+    this.modalThumbs.innerHTML = '';
+    
+    if (this.galleryImages.length > 1) {
+      this.galleryImages.forEach((src, index) => {
+        const thumb = DOM.create('button', {
+          className: 'gallery-thumb',
+          type: 'button',
+          'aria-label': I18n.t('portfolio.modal.imageOf', { index: index + 1, total: this.galleryImages.length })
+        });
+        const thumbImage = DOM.create('img', { src, alt: '', loading: 'lazy' });
+        thumb.appendChild(thumbImage);
+        ResponsiveImage.watch(thumbImage, { label: data.title });
+        thumb.addEventListener('click', () => this.showGalleryImage(index));
+        this.modalThumbs.appendChild(thumb);
+      });
+    }
+    
+    DOM.queryAll('.gallery-btn', this.modal).forEach(btn => {
+      btn.hidden = this.galleryImages.length < 2;
+    });
+    
+    this.showGalleryImage(0);
+    
+    // Position within the currently filtered items
+    const list = this.getNavigableItems();
+    const index = list.indexOf(this.activeItem);
+    this.modalCounter.textContent = `${index + 1} / ${list.length}`;
+    DOM.queryAll('.modal-nav-btn', this.modal).forEach(btn => {
+      btn.disabled = list.length < 2;
+    });
+  }
+  
+  showGalleryImage(index) {
+    const total = this.galleryImages.length;
+    
+    this.modalFallback?.remove();
+    this.modalFallback = null;
+    
+    if (total === 0) {
+      this.modalImage.removeAttribute('src');
+      this.showImageFallback();
+      return;
+    }
+    
+    this.galleryIndex = (index + total) % total;
+    DOM.removeClass(this.modalImage, 'hidden');
+    this.modalImage.src = this.galleryImages[this.galleryIndex];
+    this.modalImage.alt = total > 1 ?
+      I18n.t('portfolio.modal.imageAlt', { alt: this.galleryAlt, index: this.galleryIndex + 1, total }) :
+      this.galleryAlt;
+    
+    DOM.queryAll('.gallery-thumb', this.modalThumbs).forEach((thumb, i) => {
+      if (i === this.galleryIndex) {
+        DOM.addClass(thumb, 'active');
+        thumb.setAttribute('aria-current', 'true');
+      } else {
+        DOM.removeClass(thumb, 'active');
+        thumb.removeAttribute('aria-current');
+      }
+    });
+  }
+  
+  showImageFallback() {
+    DOM.addClass(this.modalImage, 'hidden');
+    
+    if (!this.modalFallback) {
+      this.modalFallback = ResponsiveImage.createFallback(this.modalTitle.textContent, this.galleryAlt);
+      this.modalImage.after(this.modalFallback);
+    }
+  }
+  
+  getNavigableItems() {
+    const filteredItems = this.getFilteredItems();
+    return filteredItems.includes(this.activeItem) ? filteredItems : Array.from(this.items);
+  }
+  
+  navigateModal(direction) {
+    const list = this.getNavigableItems();
+    if (list.length < 2) return;
+    
+    const index = list.indexOf(this.activeItem);
+    const nextIndex = (index + direction + list.length) % list.length;
+    this.openPortfolioModal(list[nextIndex]);
+  }
+  
+  destroy() {
+    this.closePortfolioModal({ updateHash: false });
+    this.modal?.remove();
+    
+    this.lifecycle.abort();
+    this.revealTimers.forEach(timer => clearTimeout(timer));
+    clearTimeout(this.sentinelTimer);
+    
+    this.sentinelObserver?.disconnect();
+    this.recycleObserver?.disconnect();
+    this.sentinel?.remove();
+    this.parked.forEach((fragment, item) => this.restoreItem(item));
+  }
+}
+
+// ===================================
+// TESTIMONIALS MODULE
+// ===================================
+
+class Testimonials {
+  constructor() {
+    this.container = DOM.query('.testimonials-carousel');
+    this.track = DOM.query('.testimonials-track');
+    this.slides = DOM.query('.testimonials-slides');
+    this.cards = Array.from(DOM.queryAll('.testimonial-card'));
+    this.prevBtn = DOM.query('.carousel-btn.prev');
+    this.nextBtn = DOM.query('.carousel-btn.next');
+    this.pauseBtn = DOM.query('.carousel-pause');
+    this.indicatorsContainer = DOM.query('.testimonials-indicators');
+    this.summary = DOM.query('.testimonials-summary');
+    this.indicators = [];
+    
+    // Reviews feed (falls back to the static markup when unavailable)
+    this.feedUrl = this.slides?.dataset.feed || 'data/reviews.json';
+    this.reviews = [];
+    this.aggregate = null;
+    
+    this.currentIndex = 0;
+    this.perView = 1;
+    this.step = 0;
+    this.autoplayInterval = null;
+    this.autoplayDelay = 5000;
+    
+    // Autoplay runs only while the visitor hasn't paused it and nothing holds it
+    this.isPlaying = true;
+    this.isHovered = false;
+    this.hasFocus = false;
+    this.drag = null;
+    this.suppressClick = false;
+    this.lifecycle = new AbortController();
+    
+    if (this.container && this.slides) {
+      this.ready = this.init();
+    }
+  }
+  
+  async init() {
+    const feed = await this.loadFeed();
+    if (feed) {
+      this.renderFromFeed(feed);
+    }
+    ResponsiveImage.hydrate(this.slides);
+    
+    if (this.cards.length === 0) return;
+    
+    this.setupAria();
+    this.measure();
+    this.renderIndicators();
+    this.bindEvents();
+    this.updateCarousel();
+    this.updateAutoplay();
+  }
+  
+  async loadFeed() {
+    if (!window.fetch) return null;
+    
+    try {
+      const response = await fetch(this.feedUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const feed = await response.json();
+      return Array.isArray(feed.reviews) && feed.reviews.length > 0 ? feed : null;
+    } catch (e) {
+      console.warn('Reviews feed unavailable, using static markup:', e);
+      return null;
+    }
+  }
+  
+  renderFromFeed(feed) {
+    // Newest first
+    this.reviews = feed.reviews
+      .filter(review => review.author && review.text)
+      .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    
+    this.slides.innerHTML = this.reviews.map((review, index) => this.renderCard(review, index)).join('');
+    this.cards = Array.from(DOM.queryAll('.testimonial-card', this.slides));
+    
+    this.aggregate = this.getAggregate(this.reviews);
+    this.renderSummary();
+    this.injectStructuredData();
+  }
+  
+  getAggregate(reviews) {
+    const rated = reviews.filter(review => Number(review.rating) > 0);
+    if (rated.length === 0) return null;
+    
+    const total = rated.reduce((sum, review) => sum + Number(review.rating), 0);
+    return {
+      rating: Math.round((total / rated.length) * 10) / 10,
+      count: rated.length
+    };
+  }
+  
+  formatRating(rating) {
+    return new Intl.NumberFormat(I18n.locale, { maximumFractionDigits: 1 }).format(rating);
+  }
+  
+  renderStars(rating) {
+    return Array.from({ length: 5 }, (_, index) => `
+      <svg class="${index < Math.round(rating) ? 'star' : 'star star-empty'}" width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+      </svg>
+    `).join('');
+  }
+  
+  renderCard(review, index) {
+    const rating = Number(review.rating) || 0;
+    const avatar = review.avatar ?
+      ResponsiveImage.render(review.avatar, { label: review.author, sizes: '56px', width: 56, height: 56 }) :
+      `<span>${DOM.escapeHTML(ResponsiveImage.initials(review.author))}</span>`;
+    
+    // Each testimonial links to its case study; the router opens the modal
+    const project = review.project ? `
+          <a class="testimonial-project" href="#portfolio/${encodeURIComponent(review.project)}" data-i18n="testimonials.viewProject">${I18n.t('testimonials.viewProject')}</a>` : '';
+    
+    return `
+      <div class="testimonial-card" id="testimonial-${DOM.escapeHTML(review.id || String(index + 1))}"${review.project ? ` data-project="${DOM.escapeHTML(review.project)}"` : ''}>
+        <div class="testimonial-content">
+          ${rating ? `<div class="testimonial-rating" role="img" data-rating="${rating}" aria-label="${DOM.escapeHTML(I18n.t('testimonials.rating', { rating }))}">${this.renderStars(rating)}</div>` : ''}
+          <blockquote>
+            "${DOM.escapeHTML(review.text)}"
+          </blockquote>
+          <div class="testimonial-author">
+            <div class="author-avatar">
+              ${avatar}
+            </div>
+            <div class="author-info">
+              <cite class="author-name">${DOM.escapeHTML(review.author)}</cite>
+              ${review.role ? `<span class="author-role">${DOM.escapeHTML(review.role)}</span>` : ''}
+              ${review.date ? `<time class="testimonial-date" datetime="${DOM.escapeHTML(review.date)}">${DOM.escapeHTML(this.formatReviewDate(review.date))}</time>` : ''}
+            </div>
+          </div>${project}
+        </div>
+      </div>
+    `;
+  }
+  
+  formatReviewDate(date) {
+    const parsed = new Date(date);
+    if (Number.isNaN(parsed.getTime())) return date;
+    
+    return I18n.formatDate(parsed, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  
+  renderSummary() {
+    if (!this.summary || !this.aggregate) return;
+    
+    const rating = this.formatRating(this.aggregate.rating);
+    
+    this.summary.innerHTML = `
+      <div class="testimonial-rating" role="img" aria-label="${DOM.escapeHTML(I18n.t('testimonials.aggregateLabel', { rating }))}">${this.renderStars(this.aggregate.rating)}</div>
+      <p class="testimonials-summary-text">${DOM.escapeHTML(I18n.t('testimonials.aggregate', { rating, count: this.aggregate.count }))}</p>
+    `;
+    this.summary.hidden = false;
+  }
+  
+  // Review and AggregateRating for the Organization described in the static JSON-LD (same @id).
+  // Describes the feed only; search engines do not show stars for reviews a business hosts about itself
+  injectStructuredData() {
+    if (!this.aggregate) return;
+    
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      '@id': 'https://prodgio.com/#organization',
+      name: 'Prodgio',
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: this.aggregate.rating,
+        reviewCount: this.aggregate.count,
+        bestRating: 5,
+        worstRating: 1
+      },
+      review: this.reviews.map(review => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.author },
+        ...(review.date && { datePublished: review.date }),
+        reviewBody: review.text,
+        ...(review.rating && {
+          reviewRating: {
+            '@type': 'Rating',
+            ratingValue: Number(review.rating),
+            bestRating: 5,
+            worstRating: 1
+          }
+        })
+      }))
+    };
+    
+    DOM.query('#reviews-structured-data')?.remove();
+    
+    const script = DOM.create('script', { type: 'application/ld+json', id: 'reviews-structured-data' });
+    script.textContent = JSON.stringify(data);
+    document.head.appendChild(script);
+  }
+  
+  getMaxIndex() {
+    return Math.max(0, this.cards.length - this.perView);
+  }
+  
+  // ARIA carousel pattern: labelled region, grouped slides, live region
+  // that only announces changes the visitor made
+  setupAria() {
+    this.container.setAttribute('role', 'region');
+    this.cards.forEach((card, index) => {
+      card.id = card.id || `testimonial-${index + 1}`;
+      card.setAttribute('role', 'group');
+    });
+    this.updateLabels();
+  }
+  
+  updateLabels() {
+    this.container.setAttribute('aria-roledescription', I18n.t('testimonials.carousel'));
+    this.container.setAttribute('aria-label', I18n.t('testimonials.label'));
+    
+    this.cards.forEach((card, index) => {
+      card.setAttribute('aria-roledescription', I18n.t('testimonials.slide'));
+      card.setAttribute('aria-label', I18n.t('testimonials.slideLabel', { index: index + 1, total: this.cards.length }));
+    });
+    
+    this.indicators.forEach((indicator, index) => {
+      indicator.setAttribute('aria-label', I18n.t('testimonials.goTo', { index: index + 1 }));
+    });
+    
+    // Feed-rendered ratings and dates follow the locale too
+    DOM.queryAll('.testimonial-rating[data-rating]', this.slides).forEach(rating => {
+      rating.setAttribute('aria-label', I18n.t('testimonials.rating', { rating: rating.dataset.rating }));
+    });
+    DOM.queryAll('.testimonial-date', this.slides).forEach(time => {
+      time.textContent = this.formatReviewDate(time.getAttribute('datetime'));
+    });
+    this.renderSummary();
+    
+    this.updatePauseButton();
+  }
+  
+  // Cards per view come from the --slides-per-view custom property of the current breakpoint
+  measure() {
+    const perView = parseInt(getComputedStyle(this.container).getPropertyValue('--slides-per-view'), 10);
+    this.perView = Math.min(Math.max(perView || 1, 1), this.cards.length);
+    this.step = this.cards.length > 1
+      ? this.cards[1].offsetLeft - this.cards[0].offsetLeft
+      : this.track.clientWidth;
+    this.currentIndex = Math.min(this.currentIndex, this.getMaxIndex());
+  }
+  
+  // One indicator per reachable position, so the count follows the breakpoint
+  renderIndicators() {
+    if (!this.indicatorsContainer) return;
+    
+    const count = this.getMaxIndex() + 1;
+    if (this.indicators.length === count) return;
+    
+    this.indicatorsContainer.innerHTML = '';
+    this.indicators = Array.from({ length: count }, (_, index) => {
+      const indicator = DOM.create('button', {
+        type: 'button',
+        className: 'indicator',
+        'aria-controls': this.cards[index].id,
+        'aria-label': I18n.t('testimonials.goTo', { index: index + 1 })
+      });
+      indicator.addEventListener('click', () => this.goTo(index, 'indicator'));
+      this.indicatorsContainer.appendChild(indicator);
+      return indicator;
+    });
+    
+    // Nothing to navigate when every card fits
+    const isStatic = count < 2;
+    this.indicatorsContainer.hidden = isStatic;
+    [this.prevBtn, this.nextBtn].forEach(btn => {
+      if (btn) btn.hidden = isStatic;
+    });
+  }
+  
+  bindEvents() {
+    const { signal } = this.lifecycle;
+    
+    // Navigation buttons
+    if (this.prevBtn) {
+      this.prevBtn.addEventListener('click', () => this.prev('button'), { signal });
+    }
+    
+    if (this.nextBtn) {
+      this.nextBtn.addEventListener('click', () => this.next('button'), { signal });
+    }
+    
+    if (this.pauseBtn) {
+      this.pauseBtn.addEventListener('click', () => this.toggleAutoplay(), { signal });
+    }
+    
+    // Keyboard arrows anywhere inside the carousel
+    this.container.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+    
+    // Pause autoplay on hover, on focus and while the tab is hidden
+    // (mouse only: touch never sends a matching leave)
+    this.container.addEventListener('pointerenter', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      this.isHovered = true;
+      this.updateAutoplay();
+    }, { signal });
+    this.container.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      this.isHovered = false;
+      this.updateAutoplay();
+    }, { signal });
+    this.container.addEventListener('focusin', () => {
+      this.hasFocus = true;
+      this.updateAutoplay();
+    }, { signal });
+    this.container.addEventListener('focusout', (e) => {
+      if (this.container.contains(e.relatedTarget)) return;
+      this.hasFocus = false;
+      this.updateAutoplay();
+    }, { signal });
+    document.addEventListener('visibilitychange', () => this.updateAutoplay(), { signal });
+    
+    // Pointer dragging for mouse and touch
+    this.setupDrag();
+    
+    window.addEventListener('resize', Performance.debounce(() => {
+      this.measure();
+      this.renderIndicators();
+      this.updateCarousel();
+      this.updateAutoplay();
+    }, 150), { signal });
+    
+    document.addEventListener('motionchange', () => this.updateAutoplay(), { signal });
+    document.addEventListener('localechange', () => this.updateLabels(), { signal });
+  }
+  
+  handleKeydown(e) {
+    if (e.target.closest('input, textarea, select')) return;
+    
+    switch (e.key) {
+      case 'ArrowLeft':
+        this.prev('keyboard');
+        break;
+      case 'ArrowRight':
+        this.next('keyboard');
+        break;
+      case 'Home':
+        this.goTo(0, 'keyboard');
+        break;
+      case 'End':
+        this.goTo(this.getMaxIndex(), 'keyboard');
+        break;
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+  }
+  
+  // Drag follows the pointer; on release the recent velocity is projected
+  // forward so a quick flick travels further than a slow drag
+  setupDrag() {
+    const { signal } = this.lifecycle;
+    
+    const threshold = 8;
+    
+    this.track.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || this.getMaxIndex() === 0) return;
+      
+      this.drag = {
+        id: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        offset: 0,
+        isActive: false,
+        samples: [{ x: e.clientX, time: e.timeStamp }]
+      };
+    }, { signal });
+    
+    this.track.addEventListener('pointermove', (e) => {
+      const drag = this.drag;
+      if (!drag || e.pointerId !== drag.id) return;
+      
+      const deltaX = e.clientX - drag.startX;
+      const deltaY = e.clientY - drag.startY;
+      
+      if (!drag.isActive) {
+        if (Math.abs(deltaX) < threshold && Math.abs(deltaY) < threshold) return;
+        
+        // Vertical gestures belong to page scrolling
+        if (Math.abs(deltaY) > Math.abs(deltaX)) {
+          this.drag = null;
+          return;
+        }
+        
+        drag.isActive = true;
+        this.track.setPointerCapture?.(e.pointerId);
+        DOM.addClass(this.track, 'is-dragging');
+        this.updateAutoplay();
+      }
+      
+      drag.samples.push({ x: e.clientX, time: e.timeStamp });
+      if (drag.samples.length > 5) drag.samples.shift();
+      
+      // Resist past the first and last positions
+      const isPastEdge = (this.currentIndex === 0 && deltaX > 0) ||
+        (this.currentIndex === this.getMaxIndex() && deltaX < 0);
+      drag.offset = isPastEdge ? deltaX / 3 : deltaX;
+      this.applyTransform(drag.offset);
+    }, { signal });
+    
+    const endDrag = (e) => {
+      const drag = this.drag;
+      if (!drag || e.pointerId !== drag.id) return;
+      
+      this.drag = null;
+      if (!drag.isActive) return;
+      
+      DOM.removeClass(this.track, 'is-dragging');
+      this.suppressClick = true;
+      
+      const first = drag.samples[0];
+      const last = drag.samples[drag.samples.length - 1];
+      const velocity = last.time > first.time ? (last.x - first.x) / (last.time - first.time) : 0;
+      const projected = drag.offset + velocity * 250;
+      
+      let moved = this.step ? Math.round(-projected / this.step) : 0;
+      if (moved === 0 && Math.abs(drag.offset) > 50) {
+        moved = drag.offset > 0 ? -1 : 1;
+      }
+      
+      this.goTo(this.currentIndex + moved, 'drag');
+      this.updateAutoplay();
+    };
+    
+    this.track.addEventListener('pointerup', endDrag, { signal });
+    this.track.addEventListener('pointercancel', endDrag, { signal });
+    
+    // A drag that ends over a link must not follow it
+    this.track.addEventListener('click', (e) => {
+      if (!this.suppressClick) return;
+      
+      this.suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+    }, { capture: true, signal });
+    this.track.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+  }
+  
+  prev(source) {
+    this.goTo(this.currentIndex === 0 ? this.getMaxIndex() : this.currentIndex - 1, source);
+  }
+  
+  next(source) {
+    this.goTo(this.currentIndex >= this.getMaxIndex() ? 0 : this.currentIndex + 1, source);
+  }
+  
+  // `source` is set for visitor-driven moves (button, indicator, keyboard, drag), not autoplay
+  goTo(index, source = null) {
+    const previousIndex = this.currentIndex;
+    this.currentIndex = Math.min(Math.max(index, 0), this.getMaxIndex());
+    this.updateCarousel();
+    
+    if (source && this.currentIndex !== previousIndex) {
+      EventBus.publish('testimonial_navigate', { index: this.currentIndex, source });
+    }
+  }
+  
+  applyTransform(offset = 0) {
+    this.slides.style.transform = `translate3d(${offset - this.currentIndex * this.step}px, 0, 0)`;
+  }
+  
+  updateCarousel() {
+    this.applyTransform();
+    
+    // Off-screen cards leave the tab order and the accessibility tree
+    this.cards.forEach((card, index) => {
+      const isVisible = index >= this.currentIndex && index < this.currentIndex + this.perView;
+      
+      if (isVisible) {
+        DOM.addClass(card, 'active');
+        card.removeAttribute('inert');
+      } else {
+        DOM.removeClass(card, 'active');
+        card.setAttribute('inert', '');
+      }
+    });
     
-    this.counters.forEach(counter => observer.observe(counter));
+    // Update indicators
+    this.indicators.forEach((indicator, index) => {
+      if (index === this.currentIndex) {
+        DOM.addClass(indicator, 'active');
+        indicator.setAttribute('aria-current', 'true');
+      } else {
+        DOM.removeClass(indicator, 'active');
+        indicator.removeAttribute('aria-current');
+      }
+    });
   }
   
-  animateCounter(element) {
-    const target = parseInt(element.dataset.target);
-    const suffix = element.dataset.suffix || '';
-    const duration = 2000;
-    const startTime = performance.now();
+  toggleAutoplay() {
+    this.isPlaying = !this.isPlaying;
+    this.updateAutoplay();
+  }
+  
+  updateAutoplay() {
+    const shouldPlay = this.isPlaying &&
+      !Motion.reduced &&
+      !this.isHovered &&
+      !this.hasFocus &&
+      !document.hidden &&
+      !this.drag?.isActive &&
+      this.getMaxIndex() > 0;
     
-    const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      
-      const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-      const current = Math.floor(easeOutQuart * target);
-      
-      element.textContent = current + suffix;
-      
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    };
+    if (shouldPlay) {
+      this.startAutoplay();
+    } else {
+      this.stopAutoplay();
+    }
     
-    requestAnimationFrame(animate);
+    // Rotating slides are not announced; manual changes are
+    this.slides.setAttribute('aria-live', shouldPlay ? 'off' : 'polite');
+    this.updatePauseButton();
   }
   
-  setupTypewriter() {
-    if (!this.typewriter) return;
+  updatePauseButton() {
+    if (!this.pauseBtn) return;
     
-    const text = this.typewriter.textContent;
-    this.typewriter.textContent = '';
+    // No autoplay under reduced motion, so nothing to pause
+    this.pauseBtn.hidden = Motion.reduced || this.getMaxIndex() === 0;
+    this.pauseBtn.setAttribute('aria-label', I18n.t(this.isPlaying ? 'testimonials.pause' : 'testimonials.play'));
     
-    let i = 0;
-    const typeSpeed = 50;
+    if (this.isPlaying) {
+      DOM.removeClass(this.pauseBtn, 'is-paused');
+    } else {
+      DOM.addClass(this.pauseBtn, 'is-paused');
+    }
+  }
+  
+  startAutoplay() {
+    if (this.autoplayInterval) return;
     
-    const type = () => {
-      if (i < text.length) {
-        this.typewriter.textContent += text.charAt(i);
-        i++;
-        setTimeout(type, typeSpeed);
+    this.autoplayInterval = setInterval(() => {
+      this.next();
+    }, this.autoplayDelay);
+  }
+  
+  stopAutoplay() {
+    if (this.autoplayInterval) {
+      clearInterval(this.autoplayInterval);
+      this.autoplayInterval = null;
+    }
+  }
+  
+  destroy() {
+    this.stopAutoplay();
+    this.lifecycle.abort();
+  }
+}
+
+// ===================================
+// FORM VALIDATION MODULE
+// ===================================
+
+// Brazilian phone numbers (DDD + 8-digit landline or 9-digit mobile) with optional E.164
+const Phone = {
+  // Area codes in use according to Anatel
+  ddds: [
+    11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28, 31, 32, 33, 34, 35, 37, 38,
+    41, 42, 43, 44, 45, 46, 47, 48, 49, 51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+    71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89, 91, 92, 93, 94, 95, 96, 97, 98, 99
+  ],
+  
+  digits: (value) => String(value).replace(/\D/g, ''),
+  
+  isInternational: (value) => /^\s*(\+|00)/.test(value) && !/^\s*(\+|00)\s*55/.test(value),
+  
+  // Returns the national number (DDD + subscriber) or null when it isn't a valid Brazilian number
+  parseBR: (value) => {
+    let digits = Phone.digits(value).replace(/^0+/, '');
+    
+    if (digits.length > 11 && digits.startsWith('55')) {
+      digits = digits.slice(2);
+    }
+    
+    const ddd = parseInt(digits.slice(0, 2), 10);
+    let subscriber = digits.slice(2);
+    
+    if (!Phone.ddds.includes(ddd)) return null;
+    
+    if (subscriber.length === 8 && /^[6-9]/.test(subscriber)) {
+      // Old 8-digit mobile format: every mobile now takes a leading 9
+      subscriber = `9${subscriber}`;
+    }
+    
+    const isLandline = subscriber.length === 8 && /^[2-5]/.test(subscriber);
+    const isMobile = subscriber.length === 9 && subscriber.startsWith('9');
+    
+    return isLandline || isMobile ? `${ddd}${subscriber}` : null;
+  },
+  
+  isValidE164: (value) => /^\+[1-9]\d{7,14}$/.test(`+${Phone.digits(value)}`),
+  
+  isValid: (value, { international = false } = {}) => {
+    if (international && Phone.isInternational(value)) {
+      return Phone.isValidE164(value);
+    }
+    return Phone.parseBR(value) !== null;
+  },
+  
+  // E.164, e.g. +5511999999999
+  normalize: (value, { international = false } = {}) => {
+    if (!value || !value.trim()) return '';
+    
+    if (international && Phone.isInternational(value)) {
+      return Phone.isValidE164(value) ? `+${Phone.digits(value)}` : '';
+    }
+    
+    const national = Phone.parseBR(value);
+    return national ? `+55${national}` : '';
+  },
+  
+  // Progressive mask: (11) 9999-9999 / (11) 99999-9999
+  format: (value, { international = false } = {}) => {
+    if (international && Phone.isInternational(value)) {
+      return `+${Phone.digits(value).slice(0, 15)}`;
+    }
+    
+    // Keep an explicit +55 country code the user typed
+    const hasCountryCode = /^\s*(\+|00)\s*55/.test(value);
+    const prefix = hasCountryCode ? '+55 ' : '';
+    
+    // Same reading as parseBR: trunk 0 and a 55 country code are not part of the DDD
+    let digits = Phone.digits(value).replace(/^0+/, '');
+    if (digits.startsWith('55') && (hasCountryCode || digits.length > 11)) {
+      digits = digits.slice(2);
+    }
+    digits = digits.slice(0, 11);
+    const ddd = digits.slice(0, 2);
+    const rest = digits.slice(2);
+    
+    if (digits.length === 0) return prefix.trim();
+    if (digits.length <= 2) return `${prefix}(${ddd}`;
+    
+    const splitAt = rest.length > 8 ? 5 : 4;
+    const head = rest.slice(0, splitAt);
+    const tail = rest.slice(splitAt);
+    
+    return `${prefix}(${ddd}) ${head}${tail ? `-${tail}` : ''}`;
+  },
+  
+  attachMask: (input, { signal } = {}) => {
+    const international = input.dataset.phoneInternational !== undefined;
+    
+    input.setAttribute('inputmode', 'tel');
+    input.setAttribute('autocomplete', input.getAttribute('autocomplete') || 'tel');
+    
+    input.addEventListener('input', (e) => {
+      // Deleting a mask character should not be undone by re-masking
+      if (e.inputType && e.inputType.startsWith('delete')) return;
+      
+      const caret = input.selectionStart ?? input.value.length;
+      const digitsBeforeCaret = Phone.digits(input.value.slice(0, caret)).length;
+      const formatted = Phone.format(input.value, { international });
+      
+      input.value = formatted;
+      
+      // Put the caret back after the same number of digits
+      let position = 0;
+      let seen = 0;
+      while (position < formatted.length && seen < digitsBeforeCaret) {
+        if (/\d/.test(formatted[position])) seen++;
+        position++;
       }
-    };
+      input.setSelectionRange?.(position, position);
+    }, { signal });
+  }
+};
+
+// Built-in rules: (value, param, field) => boolean | Promise<boolean>
+const ValidationRules = {
+  required: (value) => value.trim() !== '',
+  checked: (value, param, field) => field.checked,
+  email: (value) => value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  phone: (value, param, field) => value.trim() === '' ||
+    Phone.isValid(value, { international: field.dataset.phoneInternational !== undefined }),
+  minLength: (value, min) => value === '' || value.length >= parseInt(min),
+  maxLength: (value, max) => value.length <= parseInt(max),
+  pattern: (value, pattern) => value === '' || new RegExp(`^(?:${pattern})$`).test(value)
+};
+
+// Resolved on use so they follow the active locale
+const ValidationMessages = {
+  required: () => I18n.t('validation.required'),
+  checked: () => I18n.t('validation.checked'),
+  email: () => I18n.t('validation.email'),
+  phone: () => I18n.t('validation.phone'),
+  minLength: (min) => I18n.t('validation.minLength', { min }),
+  maxLength: (max) => I18n.t('validation.maxLength', { max }),
+  pattern: () => I18n.t('validation.pattern')
+};
+
+class FormValidator {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.rules = { ...ValidationRules, ...options.rules };
+    this.messages = { ...ValidationMessages, ...options.messages };
+    this.pending = new WeakMap();
+    this.signal = options.signal; // removes the listeners when aborted
     
-    // Start typing after a delay
-    setTimeout(type, 1000);
+    this.bindEvents();
   }
   
   bindEvents() {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        this.isVisible = entry.isIntersecting;
-      });
-    }, { threshold: 0.1 });
+    const { signal } = this;
     
-    if (this.hero) {
-      observer.observe(this.hero);
-    }
+    this.getFields().forEach(field => {
+      const isToggle = field.type === 'checkbox' || field.type === 'radio' || field.tagName === 'SELECT';
+      
+      field.addEventListener(isToggle ? 'change' : 'blur', () => this.validateFieldSafely(field), { signal });
+      
+      if (!isToggle) {
+        field.addEventListener('input', () => this.clearError(field), { signal });
+      }
+    });
+    
+    // Re-run visible errors in the new language
+    document.addEventListener('localechange', () => {
+      this.getFields()
+        .filter(field => field.getAttribute('aria-invalid') === 'true')
+        .forEach(field => this.validateFieldSafely(field));
+    }, { signal });
   }
   
-  startAnimation() {
-    if (!this.canvas || !this.ctx) return;
-    
-    const animate = () => {
-      if (this.isVisible) {
-        this.updateParticles();
-        this.drawParticles();
+  getFields() {
+    return Array.from(this.form.elements).filter(field =>
+      field.name &&
+      !field.disabled &&
+      ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) &&
+      !['submit', 'button', 'reset', 'hidden'].includes(field.type)
+    );
+  }
+  
+  // Combines data-validate="rule|rule:param" with native constraint attributes
+  getFieldRules(field) {
+    const rules = [];
+    const add = (name, param) => {
+      if (!rules.some(rule => rule.name === name)) {
+        rules.push({ name, param });
       }
-      this.animationId = requestAnimationFrame(animate);
     };
     
-    animate();
+    if (field.required) {
+      add(field.type === 'checkbox' ? 'checked' : 'required');
+    }
+    if (field.type === 'email') add('email');
+    if (field.type === 'tel') add('phone');
+    if (field.minLength > 0) add('minLength', String(field.minLength));
+    if (field.maxLength > 0) add('maxLength', String(field.maxLength));
+    if (field.getAttribute('pattern')) add('pattern', field.getAttribute('pattern'));
+    
+    (field.dataset.validate?.split('|') || []).filter(Boolean).forEach(rule => {
+      const [name, ...param] = rule.split(':');
+      add(name, param.join(':'));
+    });
+    
+    return rules;
   }
   
-  updateParticles() {
-    this.particleArray.forEach(particle => {
-      particle.x += particle.speedX;
-      particle.y += particle.speedY;
+  addRule(name, validator, message) {
+    this.rules[name] = validator;
+    if (message) {
+      this.messages[name] = message;
+    }
+  }
+  
+  getMessage(field, rule) {
+    const custom = field.dataset[`message${rule.name.charAt(0).toUpperCase()}${rule.name.slice(1)}`];
+    const message = custom || this.messages[rule.name] || I18n.t('validation.invalid');
+    return typeof message === 'function' ? message(rule.param, field) : message;
+  }
+  
+  // Resolves to the outcome of the latest validation of `field`, even when a
+  // newer one (another blur, a submit) started while this one was waiting
+  validateField(field) {
+    const token = {};
+    token.result = this.runRules(field, token);
+    this.pending.set(field, token);
+    return token.result;
+  }
+  
+  // For event handlers: an async rule that throws must not go unhandled
+  validateFieldSafely(field) {
+    return this.validateField(field).catch(error => {
+      console.warn(`FormValidator: validating "${field.name}" failed:`, error);
+      return false;
+    });
+  }
+  
+  async runRules(field, token) {
+    const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value;
+    let errorMessage = '';
+    
+    for (const rule of this.getFieldRules(field)) {
+      const validator = this.rules[rule.name];
       
-      if (particle.x < 0 || particle.x > this.canvas.width) {
-        particle.speedX *= -1;
+      if (!validator) {
+        console.warn(`FormValidator: unknown rule "${rule.name}"`);
+        continue;
       }
-      if (particle.y < 0 || particle.y > this.canvas.height) {
-        particle.speedY *= -1;
+      
+      const result = await validator(value, rule.param, field);
+      
+      // A newer validation of this field has started meanwhile
+      const latest = this.pending.get(field);
+      if (latest !== token) return latest.result;
+      
+      if (result !== true) {
+        errorMessage = typeof result === 'string' ? result : this.getMessage(field, rule);
+        break;
       }
-    });
+    }
+    
+    if (errorMessage) {
+      this.showError(field, errorMessage);
+    } else {
+      this.markValid(field);
+    }
+    
+    return !errorMessage;
   }
   
-  drawParticles() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  async validate() {
+    const fields = this.getFields();
+    const results = await Promise.all(fields.map(field => this.validateField(field)));
+    const firstInvalid = fields.find((field, index) => !results[index]);
     
-    this.particleArray.forEach(particle => {
-      this.ctx.beginPath();
-      this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-      this.ctx.fillStyle = `rgba(209, 62, 255, ${particle.opacity})`;
-      this.ctx.fill();
-    });
+    firstInvalid?.focus();
+    return !firstInvalid;
   }
   
-  destroy() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
+  getErrorElement(field) {
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    const byId = describedBy
+      .map(id => document.getElementById(id))
+      .find(el => DOM.hasClass(el, 'form-error'));
+    
+    if (byId) return byId;
+    
+    const group = field.closest('.form-group') || field.parentNode;
+    let errorElement = group.querySelector('.form-error');
+    
+    if (!errorElement) {
+      errorElement = DOM.create('span', {
+        className: 'form-error',
+        id: `${field.id || field.name}-error`,
+        role: 'alert'
+      });
+      group.appendChild(errorElement);
+    }
+    
+    if (!describedBy.includes(errorElement.id)) {
+      field.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
     }
+    
+    return errorElement;
+  }
+  
+  getStateTarget(field) {
+    // Custom checkboxes are styled through their label
+    return field.type === 'checkbox' ? field.closest('.form-checkbox') || field : field;
+  }
+  
+  showError(field, message) {
+    const target = this.getStateTarget(field);
+    DOM.removeClass(target, 'valid');
+    DOM.addClass(target, 'invalid');
+    field.setAttribute('aria-invalid', 'true');
+    this.getErrorElement(field).textContent = message;
+  }
+  
+  markValid(field) {
+    const target = this.getStateTarget(field);
+    DOM.removeClass(target, 'invalid');
+    DOM.addClass(target, 'valid');
+    field.removeAttribute('aria-invalid');
+    this.getErrorElement(field).textContent = '';
+  }
+  
+  clearError(field) {
+    DOM.removeClass(this.getStateTarget(field), 'invalid');
+    field.removeAttribute('aria-invalid');
+    this.getErrorElement(field).textContent = '';
+  }
+  
+  reset() {
+    this.getFields().forEach(field => {
+      this.clearError(field);
+      DOM.removeClass(this.getStateTarget(field), 'valid');
+    });
   }
 }
 
 // ===================================
-// PORTFOLIO MODULE
+// FORM TRANSPORT MODULE
 // ===================================
 
-class Portfolio {
-  constructor() {
-    this.container = DOM.query('.portfolio');
-    this.filters = DOM.queryAll('.filter-btn');
-    this.items = DOM.queryAll('.portfolio-item');
-    this.loadMoreBtn = DOM.query('.load-more-btn');
-    
-    this.currentFilter = 'all';
-    this.itemsPerPage = 6;
-    this.currentPage = 1;
-    
-    if (this.container) {
-      this.init();
-    }
+class TransportError extends Error {
+  constructor(message, { status = 0, fieldErrors = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
   }
+}
+
+// Each transport sends a plain data object and resolves to { status, body }
+const Transports = {
+  json: (endpoint) => async (data, { signal }) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: JSON.stringify(data),
+      signal
+    });
+    
+    return { status: response.status, body: await Transports.parseBody(response) };
+  },
   
-  init() {
-    this.bindEvents();
-    this.updateFilterCounts();
-    this.showItems();
-  }
+  formData: (endpoint) => async (data, { signal }) => {
+    const body = new FormData();
+    Object.entries(data).forEach(([key, value]) => body.append(key, value));
+    
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body,
+      signal
+    });
+    
+    return { status: response.status, body: await Transports.parseBody(response) };
+  },
   
-  bindEvents() {
-    // Filter buttons
-    this.filters.forEach(filter => {
-      filter.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.handleFilterClick(filter);
+  // In-memory transport for tests and local development
+  mock: ({ status = 200, body = { ok: true }, delay = 300, failures = 0 } = {}) => {
+    let attempts = 0;
+    const requests = [];
+    
+    const send = (data, { signal }) => new Promise((resolve, reject) => {
+      requests.push(data);
+      attempts++;
+      
+      const timeoutId = setTimeout(() => {
+        if (attempts <= failures) {
+          reject(new TypeError('Mock network failure'));
+        } else {
+          resolve({ status, body });
+        }
+      }, delay);
+      
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('Aborted', 'AbortError'));
       });
     });
     
-    // Load more button
-    if (this.loadMoreBtn) {
-      this.loadMoreBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.loadMore();
-      });
+    send.requests = requests;
+    return send;
+  },
+  
+  parseBody: async (response) => {
+    const contentType = response.headers.get('Content-Type') || '';
+    
+    try {
+      return contentType.includes('application/json') ? await response.json() : await response.text();
+    } catch (e) {
+      return null;
     }
+  }
+};
+
+class FormTransport {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || '';
+    this.timeout = options.timeout ?? 10000;
+    this.retries = options.retries ?? 2;
+    this.backoff = options.backoff ?? 800;
     
-    // Portfolio item clicks
-    this.items.forEach(item => {
-      item.addEventListener('click', () => {
-        this.openPortfolioModal(item);
-      });
-    });
+    if (typeof options.transport === 'function') {
+      this.send = this.createSender(options.transport);
+    } else if (options.transport === 'mock') {
+      this.send = this.createSender(Transports.mock(options.mock));
+    } else if (this.endpoint) {
+      const factory = options.transport === 'formdata' ? Transports.formData : Transports.json;
+      this.send = this.createSender(factory(this.endpoint));
+    } else {
+      this.send = () => Promise.reject(new TransportError('No endpoint configured', { retryable: false }));
+    }
   }
   
-  handleFilterClick(filterBtn) {
-    const filter = filterBtn.dataset.filter;
+  createSender(transport) {
+    return async (data) => {
+      let attempt = 0;
+      
+      while (true) {
+        try {
+          return await this.attempt(transport, data);
+        } catch (error) {
+          if (!error.retryable || attempt >= this.retries) {
+            throw error;
+          }
+          
+          // Exponential backoff with a little jitter
+          const delay = this.backoff * Math.pow(2, attempt) + Math.random() * 100;
+          attempt++;
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    };
+  }
+  
+  async attempt(transport, data) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    
+    let result;
+    
+    try {
+      result = await transport(data, { signal: controller.signal });
+    } catch (error) {
+      const message = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+      throw new TransportError(message, { retryable: true });
+    } finally {
+      clearTimeout(timeoutId);
+    }
     
-    if (filter === this.currentFilter) return;
+    const { status, body } = result;
     
-    // Update active filter
-    this.filters.forEach(btn => DOM.removeClass(btn, 'active'));
-    DOM.addClass(filterBtn, 'active');
+    if (status >= 200 && status < 300) {
+      return body;
+    }
     
-    this.currentFilter = filter;
-    this.currentPage = 1;
+    // Validation errors come back as { errors: { field: message } }
+    const fieldErrors = body && typeof body === 'object' ? body.errors || null : null;
     
-    this.filterItems();
-    this.updateLoadMoreButton();
+    throw new TransportError(body?.message || `HTTP ${status}`, {
+      status,
+      fieldErrors,
+      retryable: status >= 500 || status === 429
+    });
   }
-  
-  filterItems() {
-    const filteredItems = this.getFilteredItems();
+}
+
+// ===================================
+// FORM DRAFTS MODULE
+// ===================================
+
+// Autosaves a form to localStorage and offers to restore it on the next visit
+class FormDraft {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.key = `prodgio-draft:${options.key || form.id || form.className}`;
+    this.ttl = options.ttl ?? 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.excludedFields = options.excludedFields || ['privacy'];
     
-    // Hide all items first
-    this.items.forEach(item => {
-      DOM.addClass(item, 'hidden');
-    });
+    this.hasPendingChanges = false;
+    this.isPromptOpen = false;
+    this.signal = options.signal; // removes the listeners when aborted
     
-    // Show filtered items with animation
-    setTimeout(() => {
-      filteredItems.slice(0, this.itemsPerPage * this.currentPage).forEach((item, index) => {
-        setTimeout(() => {
-          DOM.removeClass(item, 'hidden');
-          DOM.addClass(item, 'animate-in');
-        }, index * 100);
-      });
-    }, 300);
+    this.init(options.delay ?? 500);
   }
   
-  getFilteredItems() {
-    if (this.currentFilter === 'all') {
-      return Array.from(this.items);
+  init(delay) {
+    const { signal } = this;
+    
+    const draft = this.load();
+    if (draft) {
+      this.showRestorePrompt(draft);
     }
     
-    return Array.from(this.items).filter(item => {
-      const categories = item.dataset.category?.split(',') || [];
-      return categories.includes(this.currentFilter);
-    });
+    const save = Performance.debounce(() => this.save(), delay);
+    const handleChange = (e) => {
+      if (!e.target.name || this.isExcluded(e.target)) return;
+      
+      this.hasPendingChanges = true;
+      save();
+    };
+    
+    this.form.addEventListener('input', handleChange, { signal });
+    this.form.addEventListener('change', handleChange, { signal });
   }
   
-  loadMore() {
-    this.currentPage++;
-    const filteredItems = this.getFilteredItems();
-    const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-    const endIndex = this.currentPage * this.itemsPerPage;
+  isExcluded(field) {
+    return this.excludedFields.includes(field.name) ||
+      ['password', 'file', 'hidden', 'submit', 'button'].includes(field.type);
+  }
+  
+  getFields() {
+    return Array.from(this.form.elements).filter(field => field.name && !this.isExcluded(field));
+  }
+  
+  collect() {
+    const fields = {};
     
-    filteredItems.slice(startIndex, endIndex).forEach((item, index) => {
-      setTimeout(() => {
-        DOM.removeClass(item, 'hidden');
-        DOM.addClass(item, 'animate-in');
-      }, index * 100);
+    this.getFields().forEach(field => {
+      if (field.type === 'checkbox') {
+        fields[field.name] = field.checked;
+      } else if (field.type === 'radio') {
+        if (field.checked) fields[field.name] = field.value;
+      } else if (String(field.value).trim()) {
+        fields[field.name] = field.value;
+      }
     });
     
-    this.updateLoadMoreButton();
+    return fields;
   }
   
-  updateLoadMoreButton() {
-    if (!this.loadMoreBtn) return;
+  save() {
+    // Don't overwrite the stored draft before the visitor has answered the prompt
+    if (!this.hasPendingChanges || this.isPromptOpen) return;
+    this.hasPendingChanges = false;
     
-    const filteredItems = this.getFilteredItems();
-    const visibleItems = this.currentPage * this.itemsPerPage;
+    const fields = this.collect();
+    const hasContent = Object.values(fields).some(value => typeof value === 'string');
     
-    if (visibleItems >= filteredItems.length) {
-      DOM.hide(this.loadMoreBtn);
+    if (hasContent) {
+      Storage.set(this.key, { savedAt: Date.now(), fields });
     } else {
-      DOM.show(this.loadMoreBtn);
+      Storage.remove(this.key);
     }
   }
   
-  updateFilterCounts() {
-    this.filters.forEach(filter => {
-      const filterValue = filter.dataset.filter;
-      const count = filterValue === 'all' ? 
-        this.items.length : 
-        this.getFilteredItems().length;
+  load() {
+    const draft = Storage.get(this.key);
+    if (!draft || !draft.fields) return null;
+    
+    if (this.ttl && Date.now() - draft.savedAt > this.ttl) {
+      Storage.remove(this.key);
+      return null;
+    }
+    
+    return draft;
+  }
+  
+  restore(draft) {
+    this.getFields().forEach(field => {
+      if (!(field.name in draft.fields)) return;
       
-      const countElement = filter.querySelector('.filter-count');
-      if (countElement) {
-        countElement.textContent = count;
+      const value = draft.fields[field.name];
+      
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (field.type === 'radio') {
+        field.checked = field.value === value;
+      } else {
+        field.value = value;
       }
     });
   }
   
-  showItems() {
-    this.filterItems();
-    this.updateLoadMoreButton();
+  clear() {
+    this.hasPendingChanges = false;
+    Storage.remove(this.key);
+    this.closeRestorePrompt();
+  }
+  
+  showRestorePrompt(draft) {
+    const savedAt = I18n.formatDate(new Date(draft.savedAt), {
+      dateStyle: 'short',
+      timeStyle: 'short'
+    });
+    
+    this.prompt = DOM.create('div', {
+      className: 'form-draft-notice',
+      role: 'status',
+      innerHTML: `
+        <p>${I18n.t('drafts.found', { date: `<strong>${DOM.escapeHTML(savedAt)}</strong>` })}</p>
+        <div class="form-draft-actions">
+          <button type="button" class="form-draft-btn primary" data-action="restore">${I18n.t('drafts.restore')}</button>
+          <button type="button" class="form-draft-btn" data-action="discard">${I18n.t('drafts.discard')}</button>
+        </div>
+      `
+    });
+    
+    DOM.query('[data-action="restore"]', this.prompt).addEventListener('click', () => {
+      this.restore(draft);
+      this.closeRestorePrompt();
+      this.getFields()[0]?.focus();
+    });
+    DOM.query('[data-action="discard"]', this.prompt).addEventListener('click', () => {
+      this.clear();
+      this.getFields()[0]?.focus();
+    });
+    
+    this.form.prepend(this.prompt);
+    this.isPromptOpen = true;
   }
   
-  openPortfolioModal(item) {
-    // Portfolio modal functionality would go here
-    console.log('Opening portfolio item:', item);
+  closeRestorePrompt() {
+    this.prompt?.remove();
+    this.prompt = null;
+    
+    if (this.isPromptOpen) {
+      this.isPromptOpen = false;
+      // Anything typed while the prompt was open still needs saving
+      this.save();
+    }
   }
 }
 
 // ===================================
-// TESTIMONIALS MODULE
+// CONTACT FORM MODULE
 // ===================================
 
-class Testimonials {
-  constructor() {
-    this.container = DOM.query('.testimonials-carousel');
-    this.track = DOM.query('.testimonials-track');
-    this.cards = DOM.queryAll('.testimonial-card');
-    this.prevBtn = DOM.query('.carousel-btn.prev');
-    this.nextBtn = DOM.query('.carousel-btn.next');
-    this.indicators = DOM.queryAll('.indicator');
+class ContactForm {
+  constructor(config = {}) {
+    this.form = DOM.query('.contact-form');
+    this.submitBtn = DOM.query('.form-submit', this.form || document);
     
-    this.currentIndex = 0;
-    this.autoplayInterval = null;
-    this.autoplayDelay = 5000;
+    this.isSubmitting = false;
+    this.isOnline = navigator.onLine !== false;
+    this.messageTimer = null;
     
-    if (this.container && this.cards.length > 0) {
+    // data-* attributes on the form win over the config object
+    this.config = {
+      endpoint: this.form?.dataset.endpoint || config.endpoint || '',
+      transport: this.form?.dataset.transport || config.transport || 'json',
+      timeout: config.timeout,
+      retries: config.retries,
+      backoff: config.backoff,
+      mock: config.mock,
+      fallbackEmail: this.form?.dataset.fallbackEmail || config.fallbackEmail || 'contato@prodgio.com',
+      draftTtl: config.draftTtl
+    };
+    this.lifecycle = new AbortController();
+    
+    if (this.form) {
       this.init();
     }
   }
   
   init() {
+    const { signal } = this.lifecycle;
+    
+    this.transport = new FormTransport(this.config);
+    this.draft = new FormDraft(this.form, { ttl: this.config.draftTtl, signal });
     this.bindEvents();
-    this.updateCarousel();
-    this.startAutoplay();
+    this.setupValidation();
   }
   
   bindEvents() {
-    // Navigation buttons
-    if (this.prevBtn) {
-      this.prevBtn.addEventListener('click', () => this.prev());
-    }
+    const { signal } = this.lifecycle;
     
-    if (this.nextBtn) {
-      this.nextBtn.addEventListener('click', () => this.next());
-    }
+    // Form submission
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    }, { signal });
+  }
+  
+  setupValidation() {
+    const { signal } = this.lifecycle;
     
-    // Indicators
-    this.indicators.forEach((indicator, index) => {
-      indicator.addEventListener('click', () => this.goTo(index));
-    });
+    this.validator = new FormValidator(this.form, { signal });
+    DOM.queryAll('input[type="tel"]', this.form).forEach(input => Phone.attachMask(input, { signal }));
+  }
+  
+  validateForm() {
+    return this.validator.validate();
+  }
+  
+  async handleSubmit() {
+    if (this.isSubmitting) return;
     
-    // Pause autoplay on hover
-    if (this.container) {
-      this.container.addEventListener('mouseenter', () => this.stopAutoplay());
-      this.container.addEventListener('mouseleave', () => this.startAutoplay());
+    this.clearMessage();
+    
+    if (!this.isOnline) {
+      this.showMessage(I18n.t('form.offline'), 'error');
+      return;
     }
     
-    // Touch/swipe support
-    this.setupTouchEvents();
-  }
-  
-  setupTouchEvents() {
-    if (!Device.isTouchDevice()) return;
+    if (!(await this.validateForm())) {
+      this.showMessage(I18n.t('form.fixErrors'), 'error');
+      return;
+    }
     
-    let startX = 0;
-    let startY = 0;
-    let endX = 0;
-    let endY = 0;
+    this.isSubmitting = true;
+    this.updateSubmitButton(true);
     
-    this.container.addEventListener('touchstart', (e) => {
-      startX = e.touches[0].clientX;
-      startY = e.touches[0].clientY;
-    });
+    const formData = new FormData(this.form);
+    const data = {
+      ...FormUtils.normalizePhones(this.form, Object.fromEntries(formData.entries())),
+      ...Attribution.get()
+    };
     
-    this.container.addEventListener('touchend', (e) => {
-      endX = e.changedTouches[0].clientX;
-      endY = e.changedTouches[0].clientY;
+    try {
+      await this.submitToAPI(data);
       
-      const deltaX = endX - startX;
-      const deltaY = endY - startY;
+      EventBus.publish('contact_submit', { service: data.service || null });
+      this.showMessage(I18n.t('form.success'), 'success');
+      this.form.reset();
+      this.validator.reset();
+      this.draft.clear();
       
-      // Only handle horizontal swipes
-      if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50) {
-        if (deltaX > 0) {
-          this.prev();
-        } else {
-          this.next();
-        }
+    } catch (error) {
+      console.error('Form submission error:', error);
+      
+      EventBus.publish('contact_error', {
+        reason: error.fieldErrors ? 'validation' : error.retryable ? 'network' : 'server'
+      });
+      
+      if (error.fieldErrors) {
+        this.applyFieldErrors(error.fieldErrors);
+        this.showMessage(I18n.t('form.fixErrors'), 'error');
+      } else if (error.retryable || !this.config.endpoint) {
+        // Endpoint unreachable: offer to send the message by email instead
+        this.showMailtoFallback(data);
+      } else {
+        this.showMessage(I18n.t('form.error'), 'error');
       }
+    } finally {
+      this.isSubmitting = false;
+      this.updateSubmitButton(false);
+    }
+  }
+  
+  async submitToAPI(data) {
+    return this.transport.send(data);
+  }
+  
+  applyFieldErrors(fieldErrors) {
+    let firstInvalid = null;
+    
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      const field = this.form.elements[name];
+      if (!field || !field.parentNode) return;
+      
+      this.validator.showError(field, Array.isArray(message) ? message[0] : message);
+      firstInvalid = firstInvalid || field;
     });
+    
+    firstInvalid?.focus();
   }
   
-  prev() {
-    this.currentIndex = this.currentIndex === 0 ? 
-      this.cards.length - 1 : 
-      this.currentIndex - 1;
-    this.updateCarousel();
+  buildMailtoLink(data) {
+    const subject = `${I18n.t('form.mailSubject')}${data.name ? ` - ${data.name}` : ''}`;
+    const body = Object.entries(data)
+      .filter(([key, value]) => key !== 'privacy' && String(value).trim())
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+    
+    return `mailto:${this.config.fallbackEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
   }
   
-  next() {
-    this.currentIndex = this.currentIndex === this.cards.length - 1 ? 
-      0 : 
-      this.currentIndex + 1;
-    this.updateCarousel();
+  // Stays until the next submit so there is time to use the link
+  showMailtoFallback(data) {
+    this.showMessage(I18n.t('form.unavailable'), 'error', { persist: true });
+    
+    const messageEl = DOM.query('.form-message', this.form);
+    if (!messageEl) return;
+    
+    const link = DOM.create('a', {
+      href: this.buildMailtoLink(data),
+      className: 'form-message-link'
+    }, I18n.t('form.sendByEmail'));
+    messageEl.appendChild(link);
   }
   
-  goTo(index) {
-    this.currentIndex = index;
-    this.updateCarousel();
+  updateSubmitButton(isLoading) {
+    if (!this.submitBtn) return;
+    
+    if (isLoading) {
+      this.submitBtn.disabled = true;
+      this.submitBtn.innerHTML = `
+        <span class="spinner"></span>
+        ${I18n.t('form.sending')}
+      `;
+    } else {
+      this.submitBtn.disabled = false;
+      this.submitBtn.innerHTML = `
+        ${I18n.t('form.submit')}
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="m9 18 6-6-6-6"/>
+        </svg>
+      `;
+    }
   }
   
-  updateCarousel() {
-    // Update cards
-    this.cards.forEach((card, index) => {
-      if (index === this.currentIndex) {
-        DOM.addClass(card, 'active');
-      } else {
-        DOM.removeClass(card, 'active');
-      }
-    });
+  showMessage(message, type, { persist = false } = {}) {
+    // Create or update message element
+    let messageEl = DOM.query('.form-message', this.form);
     
-    // Update indicators
-    this.indicators.forEach((indicator, index) => {
-      if (index === this.currentIndex) {
-        DOM.addClass(indicator, 'active');
-      } else {
-        DOM.removeClass(indicator, 'active');
-      }
-    });
+    if (!messageEl) {
+      messageEl = DOM.create('div', { className: 'form-message' });
+      this.form.appendChild(messageEl);
+    }
+    
+    messageEl.className = `form-message alert alert-${type}`;
+    messageEl.textContent = message;
+    
+    // Auto-hide after 5 seconds; an earlier timer must not remove the new message
+    clearTimeout(this.messageTimer);
+    this.messageTimer = persist ? null : setTimeout(() => this.clearMessage(), 5000);
   }
   
-  startAutoplay() {
-    this.stopAutoplay();
-    this.autoplayInterval = setInterval(() => {
-      this.next();
-    }, this.autoplayDelay);
+  clearMessage() {
+    clearTimeout(this.messageTimer);
+    this.messageTimer = null;
+    DOM.query('.form-message', this.form)?.remove();
   }
   
-  stopAutoplay() {
-    if (this.autoplayInterval) {
-      clearInterval(this.autoplayInterval);
-      this.autoplayInterval = null;
+  setConnectionState(isOnline) {
+    this.isOnline = isOnline;
+    
+    if (this.form) {
+      FormUtils.setConnectionWarning(this.form, this.submitBtn, isOnline, I18n.t('form.offlineRetry'));
     }
   }
+  
+  destroy() {
+    this.lifecycle.abort();
+    clearTimeout(this.messageTimer);
+  }
 }
 
 // ===================================
-// CONTACT FORM MODULE
+// WHATSAPP FORM MODULE
 // ===================================
 
-class ContactForm {
-  constructor() {
-    this.form = DOM.query('.contact-form');
-    this.inputs = DOM.queryAll('.form-input, .form-select, .form-textarea');
-    this.submitBtn = DOM.query('.form-submit');
+// Routing, templates and business hours. Override any key through
+// window.PRODGIO_CONFIG.whatsapp; routes are picked by the selected service.
+// Templates default to the active locale (whatsapp.templates.<route>).
+const WhatsAppDefaults = {
+  phoneNumber: '5511914823015',
+  template: null,
+  defaultRoute: 'desenvolvimento',
+  routes: {
+    desenvolvimento: {},
+    design: {},
+    consultoria: {}
+  },
+  // Used when the <option> has no data-route attribute
+  serviceRoutes: {
+    'Website Institucional': 'desenvolvimento',
+    'Aplicação Web': 'desenvolvimento',
+    'E-commerce': 'desenvolvimento',
+    'Aplicativo Mobile': 'desenvolvimento',
+    'Design UI/UX': 'design',
+    'Consultoria Digital': 'consultoria'
+  },
+  businessHours: {
+    timeZone: 'America/Sao_Paulo',
+    // 0 = domingo ... 6 = sábado
+    schedule: {
+      1: ['09:00', '18:00'],
+      2: ['09:00', '18:00'],
+      3: ['09:00', '18:00'],
+      4: ['09:00', '18:00'],
+      5: ['09:00', '18:00']
+    }
+  },
+  excludedFields: ['privacy'],
+  // How long an unsent draft is kept, in milliseconds
+  draftTtl: 7 * 24 * 60 * 60 * 1000
+};
+
+class WhatsAppForm {
+  constructor(config = {}) {
+    this.forms = DOM.queryAll('.whatsapp-form');
+    this.config = {
+      ...WhatsAppDefaults,
+      ...config,
+      routes: { ...WhatsAppDefaults.routes, ...config.routes },
+      serviceRoutes: { ...WhatsAppDefaults.serviceRoutes, ...config.serviceRoutes }
+    };
+    this.phoneNumber = this.config.phoneNumber; // Default phone number
+    this.isOnline = navigator.onLine !== false;
+    this.lifecycle = new AbortController();
     
-    this.isSubmitting = false;
+    if (this.forms.length > 0) {
+      this.init();
+    }
+  }
+  
+  init() {
+    const { signal } = this.lifecycle;
+    
+    this.validators = new Map();
+    this.drafts = new Map();
+    this.forms.forEach(form => {
+      this.validators.set(form, new FormValidator(form, { signal }));
+      this.drafts.set(form, new FormDraft(form, {
+        ttl: this.config.draftTtl,
+        excludedFields: this.config.excludedFields,
+        signal
+      }));
+      DOM.queryAll('input[type="tel"]', form).forEach(input => Phone.attachMask(input, { signal }));
+    });
+    this.bindEvents();
+  }
+  
+  bindEvents() {
+    const { signal } = this.lifecycle;
+    
+    this.forms.forEach(form => {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        // Opened while still inside the user gesture: after the async
+        // validation, pop-up blockers would stop a new window
+        const popup = this.isOnline ? window.open('', '_blank') : null;
+        this.handleSubmit(form, popup);
+      }, { signal });
+    });
+  }
+  
+  async handleSubmit(form, popup = null) {
+    if (!this.isOnline) {
+      popup?.close();
+      DOM.query('.connection-warning', form)?.focus();
+      return;
+    }
+    
+    const isValid = await this.validators.get(form).validate().catch(error => {
+      console.warn('WhatsApp form validation failed:', error);
+      return false;
+    });
+    
+    if (!isValid) {
+      popup?.close();
+      return;
+    }
+    
+    const formData = new FormData(form);
+    const data = FormUtils.normalizePhones(form, Object.fromEntries(formData.entries()));
+    const route = this.getRoute(form, data.service);
+    // The option value is a Portuguese key; the message shows the label in the active locale
+    const message = this.buildMessage({ ...data, ...(data.service && { service: this.getServiceLabel(form, data.service) }) }, route);
+    const phoneNumber = route.phoneNumber || this.phoneNumber;
+    const send = (target = null) => {
+      this.drafts.get(form).clear();
+      this.openWhatsApp(message, phoneNumber, { route: route.key, service: data.service || null }, target);
+    };
+    
+    // Outside business hours: let the visitor know before leaving the page
+    const hours = route.businessHours || this.config.businessHours;
+    const nextOpening = hours && !this.isWithinBusinessHours(hours) ? this.getNextOpening(hours) : null;
     
-    if (this.form) {
-      this.init();
+    // The notice's "continue" click is a gesture of its own
+    if (nextOpening) {
+      popup?.close();
+      this.showOutsideHoursNotice(form, nextOpening, () => send());
+      return;
     }
+    
+    // Open WhatsApp
+    send(popup);
   }
   
-  init() {
-    this.bindEvents();
-    this.setupValidation();
+  getRoute(form, service) {
+    const option = Array.from(form.elements.service?.options || []).find(opt => opt.value === service);
+    const key = option?.dataset.route || this.config.serviceRoutes[service] || this.config.defaultRoute;
+    
+    return { key, ...this.config.routes[key] };
   }
   
-  bindEvents() {
-    // Form submission
-    this.form.addEventListener('submit', (e) => {
-      e.preventDefault();
-      this.handleSubmit();
-    });
+  getServiceLabel(form, service) {
+    const option = Array.from(form.elements.service?.options || []).find(opt => opt.value === service);
+    return option?.value ? option.textContent.trim() : service;
+  }
+  
+  buildMessage(data, route) {
+    const source = Attribution.describe();
+    const fields = Object.entries({ ...data, ...(source && { source }) })
+      .filter(([key, value]) => !this.config.excludedFields.includes(key) && String(value).trim())
+      .map(([key, value]) => `*${this.getFieldLabel(key)}:* ${value}`)
+      .join('\n');
     
-    // Input validation
-    this.inputs.forEach(input => {
-      input.addEventListener('blur', () => this.validateField(input));
-      input.addEventListener('input', () => this.clearFieldError(input));
-    });
+    const values = { ...data, fields };
+    const routeKey = `whatsapp.templates.${route.key}`;
+    const template = route.template || this.config.template ||
+      I18n.t(I18n.has(routeKey) ? routeKey : 'whatsapp.template');
+    
+    // {placeholder} → field value; unknown placeholders are dropped
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? '');
   }
   
-  setupValidation() {
-    this.validators = {
-      required: (value) => value.trim() !== '',
-      email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-      phone: (value) => /^[\+]?[1-9][\d]{0,15}$/.test(value.replace(/\s/g, '')),
-      minLength: (value, min) => value.length >= min
+  getZonedTime(timeZone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    
+    const get = (type) => parts.find(part => part.type === type)?.value;
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    return {
+      day: weekdays.indexOf(get('weekday')),
+      minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
     };
   }
   
-  validateField(field) {
-    const value = field.value;
-    const rules = field.dataset.validate?.split('|') || [];
-    const errorElement = field.parentNode.querySelector('.form-error');
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+  
+  isWithinBusinessHours(hours, date = new Date()) {
+    const { day, minutes } = this.getZonedTime(hours.timeZone, date);
+    const today = hours.schedule[day];
     
-    let isValid = true;
-    let errorMessage = '';
+    return Boolean(today) && minutes >= this.toMinutes(today[0]) && minutes < this.toMinutes(today[1]);
+  }
+  
+  getNextOpening(hours, date = new Date()) {
+    const { day, minutes } = this.getZonedTime(hours.timeZone, date);
     
-    for (const rule of rules) {
-      const [validator, param] = rule.split(':');
+    for (let offset = 0; offset <= 7; offset++) {
+      const weekday = (day + offset) % 7;
+      const slot = hours.schedule[weekday];
       
-      if (validator === 'required' && !this.validators.required(value)) {
-        isValid = false;
-        errorMessage = 'Este campo é obrigatório';
-        break;
-      } else if (validator === 'email' && value && !this.validators.email(value)) {
-        isValid = false;
-        errorMessage = 'Digite um email válido';
-        break;
-      } else if (validator === 'phone' && value && !this.validators.phone(value)) {
-        isValid = false;
-        errorMessage = 'Digite um telefone válido';
-        break;
-      } else if (validator === 'minLength' && value && !this.validators.minLength(value, parseInt(param))) {
-        isValid = false;
-        errorMessage = `Mínimo de ${param} caracteres`;
-        break;
-      }
+      if (!slot || (offset === 0 && minutes >= this.toMinutes(slot[0]))) continue;
+      
+      return { offset, weekday, time: slot[0] };
     }
     
-    // Update field state
-    if (isValid) {
-      DOM.removeClass(field, 'invalid');
-      DOM.addClass(field, 'valid');
-      if (errorElement) errorElement.textContent = '';
-    } else {
-      DOM.removeClass(field, 'valid');
-      DOM.addClass(field, 'invalid');
-      if (errorElement) errorElement.textContent = errorMessage;
+    return null;
+  }
+  
+  formatOpening({ offset, weekday, time }) {
+    // 4 Jan 1970 was a Sunday, so day `weekday` of that week names the weekday
+    const weekdayName = I18n.formatDate(new Date(Date.UTC(1970, 0, 4 + weekday)), { weekday: 'long', timeZone: 'UTC' });
+    const day = offset === 0 ? I18n.t('whatsapp.today') : offset === 1 ? I18n.t('whatsapp.tomorrow') : weekdayName;
+    
+    return I18n.t('whatsapp.opening', { day, time });
+  }
+  
+  showOutsideHoursNotice(form, nextOpening, onContinue) {
+    let notice = DOM.query('.whatsapp-hours-notice', form);
+    
+    if (!notice) {
+      notice = DOM.create('div', {
+        className: 'whatsapp-hours-notice',
+        role: 'status',
+        tabindex: '-1'
+      });
+      DOM.query('[type="submit"]', form)?.insertAdjacentElement('beforebegin', notice);
     }
     
-    return isValid;
+    notice.innerHTML = `
+      <p>
+        ${I18n.t('whatsapp.outsideHours', { when: `<strong>${DOM.escapeHTML(this.formatOpening(nextOpening))}</strong>` })}
+      </p>
+      <div class="whatsapp-hours-actions">
+        <button type="button" class="whatsapp-hours-btn primary" data-action="continue">${I18n.t('whatsapp.continue')}</button>
+        <button type="button" class="whatsapp-hours-btn" data-action="cancel">${I18n.t('whatsapp.cancel')}</button>
+      </div>
+    `;
+    
+    DOM.query('[data-action="continue"]', notice).addEventListener('click', () => {
+      notice.remove();
+      onContinue();
+    });
+    DOM.query('[data-action="cancel"]', notice).addEventListener('click', () => {
+      notice.remove();
+      DOM.query('[type="submit"]', form)?.focus();
+    });
+    
+    notice.focus();
   }
   
-  clearFieldError(field) {
-    DOM.removeClass(field, 'invalid');
-    const errorElement = field.parentNode.querySelector('.form-error');
-    if (errorElement) errorElement.textContent = '';
+  getFieldLabel(fieldName) {
+    const key = `fields.${fieldName}`;
+    return I18n.has(key) ? I18n.t(key) : fieldName;
   }
   
-  validateForm() {
-    let isValid = true;
+  // `popup` is a window opened earlier in the gesture; without one (or when
+  // it was blocked) a new one is tried, then the current tab
+  openWhatsApp(message, phoneNumber = this.phoneNumber, details = {}, popup = null) {
+    const encodedMessage = encodeURIComponent(message);
+    const whatsappURL = `https://wa.me/${phoneNumber}?text=${encodedMessage}`;
     
-    this.inputs.forEach(input => {
-      if (!this.validateField(input)) {
-        isValid = false;
-      }
-    });
+    EventBus.publish('whatsapp_lead', details);
     
-    return isValid;
+    if (popup && !popup.closed) {
+      popup.opener = null;
+      popup.location.href = whatsappURL;
+    } else if (!window.open(whatsappURL, '_blank')) {
+      window.location.href = whatsappURL;
+    }
   }
   
-  async handleSubmit() {
-    if (this.isSubmitting) return;
+  setConnectionState(isOnline) {
+    this.isOnline = isOnline;
+    
+    this.forms.forEach(form => {
+      const submitBtn = DOM.query('[type="submit"]', form);
+      FormUtils.setConnectionWarning(form, submitBtn, isOnline, I18n.t('form.offlineWhatsApp'));
+    });
+  }
+  
+  destroy() {
+    this.lifecycle.abort();
+  }
+}
+
+// ===================================
+// LOADING SCREEN
+// ===================================
+
+// Durations in milliseconds; override through window.PRODGIO_CONFIG.loader
+const LoaderDefaults = {
+  // Keeps the overlay from flashing when everything is ready at once
+  minDuration: 400,
+  // The page is revealed after this long even if some tasks are still pending
+  maxDuration: 3000,
+  // Set after the first complete load; the inline script in index.html skips
+  // the overlay (data-loader="skip") when it finds it, or when the page is
+  // served by the service worker or from the HTTP cache
+  storageKey: 'prodgio-visited'
+};
+
+// Shows real progress: fonts, above-the-fold images and whatever App tracks
+// (translations, module init)
+class LoadingScreen {
+  constructor(options = {}) {
+    this.options = { ...LoaderDefaults, ...options };
+    this.element = DOM.query('#loading-screen');
+    this.progressBar = DOM.query('.loading-progress', this.element || document);
+    this.isSkipped = document.documentElement.dataset.loader === 'skip';
     
-    if (!this.validateForm()) {
-      this.showMessage('Por favor, corrija os erros no formulário.', 'error');
+    this.startedAt = performance.now();
+    this.tasks = [];
+    this.total = 0;
+    this.completed = 0;
+    this.progress = 0;
+    this.isHidden = false;
+    this.maxTimer = null;
+    
+    if (!this.element || this.isSkipped) {
+      this.remove();
       return;
     }
     
-    this.isSubmitting = true;
-    this.updateSubmitButton(true);
+    this.maxTimer = setTimeout(() => this.hide(), this.options.maxDuration);
     
-    try {
-      const formData = new FormData(this.form);
-      const data = Object.fromEntries(formData.entries());
-      
-      // Simulate API call
-      await this.submitToAPI(data);
-      
-      this.showMessage('Mensagem enviada com sucesso! Entraremos em contato em breve.', 'success');
-      this.form.reset();
-      this.inputs.forEach(input => {
-        DOM.removeClass(input, 'valid');
-        DOM.removeClass(input, 'invalid');
-      });
-      
-    } catch (error) {
-      console.error('Form submission error:', error);
-      this.showMessage('Erro ao enviar mensagem. Tente novamente.', 'error');
-    } finally {
-      this.isSubmitting = false;
-      this.updateSubmitButton(false);
+    if (document.fonts?.ready) {
+      this.track(document.fonts.ready);
     }
+    this.getAboveFoldImages().forEach(image => this.track(this.whenLoaded(image)));
   }
   
-  async submitToAPI(data) {
-    // Simulate API delay
-    return new Promise((resolve) => {
-      setTimeout(resolve, 2000);
+  // Returns the promise unchanged, so `await loader.track(task)` still works
+  track(promise, weight = 1) {
+    if (this.isHidden) return promise;
+    
+    const task = Promise.resolve(promise).finally(() => {
+      this.completed += weight;
+      this.update();
     });
+    
+    this.tasks.push(task.catch(() => {}));
+    this.total += weight;
+    this.update();
+    
+    return promise;
   }
   
-  updateSubmitButton(isLoading) {
-    if (isLoading) {
-      this.submitBtn.disabled = true;
-      this.submitBtn.innerHTML = `
-        <span class="spinner"></span>
-        Enviando...
-      `;
-    } else {
-      this.submitBtn.disabled = false;
-      this.submitBtn.innerHTML = `
-        Enviar Mensagem
-        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="m9 18 6-6-6-6"/>
-        </svg>
-      `;
+  getAboveFoldImages() {
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    
+    return Array.from(DOM.queryAll('img')).filter(image => {
+      if (this.element.contains(image)) return false;
+      
+      const rect = image.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < viewportHeight && (rect.width > 0 || rect.height > 0);
+    });
+  }
+  
+  whenLoaded(image) {
+    if (image.complete) return Promise.resolve();
+    
+    return new Promise(resolve => {
+      image.addEventListener('load', resolve, { once: true });
+      image.addEventListener('error', resolve, { once: true });
+    });
+  }
+  
+  // Never moves backwards, even when new tasks are tracked late
+  update(progress = this.total > 0 ? this.completed / this.total : 0) {
+    this.progress = Math.max(this.progress, Math.min(progress, 1));
+    
+    if (this.progressBar) {
+      this.progressBar.style.setProperty('--loading-progress', this.progress);
+      this.progressBar.setAttribute('aria-valuenow', Math.round(this.progress * 100));
     }
   }
   
-  showMessage(message, type) {
-    // Create or update message element
-    let messageEl = DOM.query('.form-message');
+  // Waits for the tracked tasks (up to maxDuration), then for minDuration
+  async finish() {
+    if (this.isHidden) return;
     
-    if (!messageEl) {
-      messageEl = DOM.create('div', { className: 'form-message' });
-      this.form.appendChild(messageEl);
+    const remaining = this.options.maxDuration - (performance.now() - this.startedAt);
+    await Promise.race([
+      Promise.all(this.tasks),
+      new Promise(resolve => setTimeout(resolve, Math.max(remaining, 0)))
+    ]);
+    
+    const elapsed = performance.now() - this.startedAt;
+    if (elapsed < this.options.minDuration) {
+      await new Promise(resolve => setTimeout(resolve, this.options.minDuration - elapsed));
     }
     
-    messageEl.className = `form-message alert alert-${type}`;
-    messageEl.textContent = message;
+    this.hide();
+  }
+  
+  hide() {
+    if (this.isHidden) return;
     
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      if (messageEl.parentNode) {
-        messageEl.parentNode.removeChild(messageEl);
-      }
-    }, 5000);
+    this.isHidden = true;
+    clearTimeout(this.maxTimer);
+    this.update(1);
+    Storage.set(this.options.storageKey, Date.now());
+    
+    if (!this.element) return;
+    
+    DOM.addClass(this.element, 'hidden');
+    
+    // Remove from DOM after animation
+    setTimeout(() => this.remove(), 500);
+  }
+  
+  remove() {
+    this.isHidden = true;
+    this.element?.remove();
   }
 }
 
 // ===================================
-// WHATSAPP FORM MODULE
+// MODULE REGISTRY
 // ===================================
 
-class WhatsAppForm {
-  constructor() {
-    this.forms = DOM.queryAll('.whatsapp-form');
-    this.phoneNumber = '5511914823015'; // Default phone number
+// Builds modules and tears them down again. Lazy modules wait until their
+// section comes near the viewport (or becomes the route target). A module
+// that throws, or whose `ready` promise rejects, is logged and its section
+// marked data-module-state="failed" so the static markup stays in charge;
+// the other modules and the loader carry on.
+class ModuleRegistry {
+  constructor(instances = {}, options = {}) {
+    this.instances = instances;
+    this.entries = new Map();
+    this.rootMargin = options.rootMargin || '300px 0px';
+    // Slow async init (e.g. a fetch) stops holding up start() after this long
+    this.timeout = options.timeout ?? 4000;
+    this.observer = null;
+    this.lifecycle = new AbortController();
+  }
+  
+  register(name, { create, section = null, lazy = false, onReady = null, onFail = null }) {
+    this.entries.set(name, {
+      name,
+      create,
+      section: section ? DOM.query(section) : null,
+      lazy,
+      onReady,
+      onFail,
+      state: 'idle',
+      promise: null
+    });
+    return this;
+  }
+  
+  // Resolves once the eager modules are ready; lazy ones are only observed.
+  // `track` sees each eager module's init promise (used for the loader).
+  async start(track = promise => promise) {
+    const { section: routed } = Router.parse();
+    const canDefer = 'IntersectionObserver' in window;
+    const eager = [];
+    const deferred = [];
     
-    if (this.forms.length > 0) {
-      this.init();
+    this.entries.forEach(entry => {
+      const isDeferred = canDefer && entry.lazy && entry.section && entry.section.id !== routed;
+      (isDeferred ? deferred : eager).push(entry);
+    });
+    
+    if (deferred.length > 0) {
+      this.observer = new IntersectionObserver((observed) => {
+        observed.forEach(({ isIntersecting, target }) => {
+          if (isIntersecting) this.initSection(target);
+        });
+      }, { rootMargin: this.rootMargin });
+      
+      deferred.forEach(entry => this.observer.observe(entry.section));
+      
+      // A jump to a lazy section must not wait for it to scroll into view
+      document.addEventListener('routechange', (e) => {
+        const section = document.getElementById(e.detail.section);
+        if (section) this.initSection(section);
+      }, { signal: this.lifecycle.signal });
     }
+    
+    // Constructed in registration order; async readiness is awaited together
+    await Promise.all(eager.map(entry => track(this.init(entry.name))));
   }
   
-  init() {
-    this.bindEvents();
+  initSection(section) {
+    this.observer?.unobserve(section);
+    this.entries.forEach(entry => {
+      if (entry.section === section) this.init(entry.name);
+    });
   }
   
-  bindEvents() {
-    this.forms.forEach(form => {
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        this.handleSubmit(form);
-      });
-    });
+  init(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return Promise.resolve(null);
+    
+    entry.promise = entry.promise || this.run(entry);
+    return entry.promise;
   }
   
-  handleSubmit(form) {
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData.entries());
+  async run(entry) {
+    entry.state = 'loading';
     
-    // Build WhatsApp message
-    let message = 'Olá! Gostaria de solicitar um orçamento:\n\n';
+    try {
+      const instance = entry.create();
+      this.instances[entry.name] = instance;
+      
+      await this.settle(entry, instance.ready);
+      
+      entry.state = 'ready';
+      entry.section?.setAttribute('data-module-state', 'ready');
+      entry.onReady?.(instance);
+      return instance;
+    } catch (error) {
+      this.fail(entry, error);
+      return null;
+    }
+  }
+  
+  settle(entry, ready) {
+    if (!ready) return Promise.resolve();
     
-    Object.entries(data).forEach(([key, value]) => {
-      if (value.trim()) {
-        const label = this.getFieldLabel(key);
-        message += `*${label}:* ${value}\n`;
-      }
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        console.warn(`Module "${entry.name}" still initializing after ${this.timeout}ms, continuing`);
+        resolve();
+      }, this.timeout);
     });
     
-    message += '\nAguardo retorno. Obrigado!';
-    
-    // Open WhatsApp
-    this.openWhatsApp(message);
+    return Promise.race([ready, timeout]).finally(() => clearTimeout(timer));
   }
   
-  getFieldLabel(fieldName) {
-    const labels = {
-      name: 'Nome',
-      email: 'Email',
-      phone: 'Telefone',
-      company: 'Empresa',
-      service: 'Serviço',
-      budget: 'Orçamento',
-      message: 'Mensagem',
-      project: 'Projeto'
-    };
+  fail(entry, error) {
+    console.error(`❌ Module "${entry.name}" failed to initialize:`, error);
+    
+    entry.state = 'failed';
+    entry.section?.setAttribute('data-module-state', 'failed');
+    
+    try {
+      this.instances[entry.name]?.destroy?.();
+    } catch (e) {
+      console.warn(`Module "${entry.name}" failed to clean up:`, e);
+    }
+    delete this.instances[entry.name];
     
-    return labels[fieldName] || fieldName;
+    entry.onFail?.(error);
   }
   
-  openWhatsApp(message) {
-    const encodedMessage = encodeURIComponent(message);
-    const whatsappURL = `https://wa.me/${this.phoneNumber}?text=${encodedMessage}`;
+  destroy(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return;
     
-    window.open(whatsappURL, '_blank');
+    this.instances[name]?.destroy?.();
+    delete this.instances[name];
+    
+    entry.state = 'idle';
+    entry.promise = null;
+    entry.section?.removeAttribute('data-module-state');
+  }
+  
+  // Reverse order, so later modules go before the ones they may rely on
+  destroyAll() {
+    this.lifecycle.abort();
+    this.observer?.disconnect();
+    Array.from(this.entries.keys()).reverse().forEach(name => this.destroy(name));
   }
 }
 
@@ -1061,8 +4783,16 @@ class WhatsAppForm {
 class App {
   constructor() {
     this.modules = {};
-    this.loadingScreen = DOM.query('#loading-screen');
+    this.registry = null;
+    this.config = window.PRODGIO_CONFIG || {};
+    this.loader = null;
     this.isLoaded = false;
+    this.isOnline = navigator.onLine !== false;
+    this.serviceWorkerUrl = '/sw.js';
+    this.updateToast = null;
+    this.isUpdating = false;
+    this.consentBanner = null;
+    this.events = EventBus;
     
     this.init();
   }
@@ -1080,52 +4810,143 @@ class App {
   
   async start() {
     try {
+      // Starts tracking fonts and above-the-fold images right away
+      this.loader = new LoadingScreen(this.config.loader);
+      
+      // Theme, motion policy and translations first so modules render with them
+      Theme.init();
+      Motion.init();
+      Router.init();
+      await this.loader.track(I18n.init());
+      this.setupAnalytics();
+      
       // Initialize modules
       await this.initializeModules();
+      this.modules.navigation?.handleInitialRoute();
       
       // Hide loading screen
       await this.hideLoadingScreen();
       
       // Setup global events
       this.setupGlobalEvents();
+      this.setupConnectionStatus();
+      this.registerServiceWorker();
       
       console.log('✅ Prodgio website loaded successfully');
       this.isLoaded = true;
       
     } catch (error) {
       console.error('❌ Error loading website:', error);
+      
+      // Never leave the visitor behind the loading screen
+      this.loader?.hide();
     }
   }
   
+  // Sinks come from PRODGIO_CONFIG.analytics: { endpoint, debug }.
+  // The memory sink is always on (app.analyticsLog) and never leaves the page.
+  setupAnalytics() {
+    const config = this.config.analytics || {};
+    
+    Consent.init();
+    Attribution.init();
+    EventBus.init();
+    
+    this.analyticsLog = EventBus.addSink(EventSinks.memory()).events;
+    
+    if (config.debug) {
+      EventBus.addSink(EventSinks.console());
+    }
+    
+    if (config.endpoint) {
+      EventBus.addSink(EventSinks.beacon(config.endpoint));
+    }
+  }
+  
+  // Set PRODGIO_CONFIG.lazyModules = false to build everything up front
   async initializeModules() {
-    // Initialize modules in order
-    this.modules.navigation = new Navigation();
-    this.modules.heroEffects = new HeroEffects();
-    this.modules.portfolio = new Portfolio();
-    this.modules.testimonials = new Testimonials();
-    this.modules.contactForm = new ContactForm();
-    this.modules.whatsappForm = new WhatsAppForm();
+    const lazy = this.config.lazyModules !== false;
+    const syncConnection = (form) => form.setConnectionState(this.isOnline);
+    const formFallback = (selector) => () => this.showFormFallback(DOM.query(selector));
     
-    // Small delay to ensure everything is initialized
-    await new Promise(resolve => setTimeout(resolve, 100));
+    this.registry = new ModuleRegistry(this.modules)
+      .register('navigation', { create: () => new Navigation(this.config.navigation) })
+      .register('heroEffects', { create: () => new HeroEffects(this.config.hero) })
+      .register('servicesTabs', { create: () => new ServicesTabs() })
+      // Below the fold
+      .register('portfolio', { create: () => new Portfolio(this.config.portfolio), section: '#portfolio', lazy })
+      .register('testimonials', { create: () => new Testimonials(), section: '#depoimentos', lazy })
+      .register('contactForm', {
+        create: () => new ContactForm(this.config.contactForm),
+        section: '#contato',
+        lazy,
+        onReady: syncConnection,
+        onFail: formFallback('.contact-form')
+      })
+      .register('whatsappForm', {
+        create: () => new WhatsAppForm(this.config.whatsapp),
+        section: '#contato',
+        lazy,
+        onReady: syncConnection,
+        onFail: formFallback('.whatsapp-form')
+      });
+    
+    this.startFormsOnInteraction({ contactForm: '.contact-form', whatsappForm: '.whatsapp-form' });
+    
+    await this.registry.start(promise => this.loader.track(promise));
   }
   
-  async hideLoadingScreen() {
-    if (this.loadingScreen) {
-      // Minimum loading time for better UX
-      await new Promise(resolve => setTimeout(resolve, 1500));
+  // Lazy lead forms also start on the first focus inside them. The inline
+  // guard in index.html blocks a submit that comes before the module; it is
+  // replayed once the module is ready
+  startFormsOnInteraction(forms) {
+    Object.entries(forms).forEach(([name, selector]) => {
+      const form = DOM.query(selector);
+      if (!form) return;
       
-      DOM.addClass(this.loadingScreen, 'hidden');
-      
-      // Remove from DOM after animation
-      setTimeout(() => {
-        if (this.loadingScreen.parentNode) {
-          this.loadingScreen.parentNode.removeChild(this.loadingScreen);
-        }
-      }, 500);
+      form.addEventListener('focusin', () => this.registry.init(name), { once: true });
+      form.addEventListener('submit', () => {
+        if (this.modules[name]) return;
+        
+        this.registry.init(name).then(instance => {
+          if (instance) form.requestSubmit();
+        });
+      });
+    });
+  }
+  
+  // A lead form whose module failed cannot send anything: point to the
+  // direct contact channels instead of leaving a dead submit button
+  showFormFallback(form) {
+    if (!form || DOM.query('.form-fallback-notice', form)) return;
+    
+    const phoneNumber = this.config.whatsapp?.phoneNumber || WhatsAppDefaults.phoneNumber;
+    const email = form.dataset.fallbackEmail || this.config.contactForm?.fallbackEmail || 'contato@prodgio.com';
+    
+    const submitButtons = DOM.queryAll('[type="submit"]', form);
+    submitButtons.forEach(button => {
+      button.disabled = true;
+    });
+    
+    const notice = DOM.create('div', {
+      className: 'form-fallback-notice',
+      role: 'alert',
+      innerHTML: `<p>${I18n.t('form.moduleFailed', {
+        whatsapp: `<a href="https://wa.me/${encodeURIComponent(phoneNumber)}" target="_blank" rel="noopener noreferrer">WhatsApp</a>`,
+        email: `<a href="mailto:${DOM.escapeHTML(email)}">${DOM.escapeHTML(email)}</a>`
+      })}</p>`
+    });
+    if (submitButtons.length > 0) {
+      submitButtons[0].insertAdjacentElement('beforebegin', notice);
+    } else {
+      form.appendChild(notice);
     }
   }
   
+  async hideLoadingScreen() {
+    await this.loader.finish();
+  }
+  
   setupGlobalEvents() {
     // Back to top button
     const backToTopBtn = DOM.query('.back-to-top');
@@ -1139,25 +4960,171 @@ class App {
       }, 100));
       
       backToTopBtn.addEventListener('click', () => {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        window.scrollTo({ top: 0, behavior: Motion.scrollBehavior() });
       });
     }
     
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        // Close any open modals or menus
-        if (this.modules.navigation?.isMenuOpen) {
-          this.modules.navigation.closeMobileMenu();
-        }
+    // Analytics consent
+    if (EventBus.sinks.some(sink => sink.requiresConsent)) {
+      if (Consent.state === null) {
+        this.showConsentBanner();
       }
-    });
+      
+      DOM.queryAll('a[href="#cookies"]').forEach(link => {
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.showConsentBanner();
+        });
+      });
+    }
+    
+    // Motion preference toggle
+    const motionToggles = DOM.queryAll('[data-motion-toggle]');
+    const updateMotionToggles = () => {
+      const mode = I18n.t(`motion.${Motion.preference}`);
+      motionToggles.forEach(toggle => {
+        toggle.textContent = I18n.t('motion.toggle', { mode });
+        toggle.dataset.motionPreference = Motion.preference;
+      });
+    };
+    motionToggles.forEach(toggle => toggle.addEventListener('click', () => Motion.cycle()));
+    document.addEventListener('motionchange', updateMotionToggles);
+    document.addEventListener('localechange', updateMotionToggles);
+    updateMotionToggles();
     
     // Performance monitoring
     if (window.performance && window.performance.mark) {
       window.performance.mark('app-loaded');
     }
   }
+  
+  setupConnectionStatus() {
+    window.addEventListener('online', () => this.updateConnectionStatus(true));
+    window.addEventListener('offline', () => this.updateConnectionStatus(false));
+    this.updateConnectionStatus(this.isOnline);
+  }
+  
+  updateConnectionStatus(isOnline) {
+    this.isOnline = isOnline;
+    
+    if (isOnline) {
+      DOM.removeClass(document.body, 'is-offline');
+    } else {
+      DOM.addClass(document.body, 'is-offline');
+    }
+    
+    // Let the lead forms warn before submitting without a connection
+    this.modules.contactForm?.setConnectionState(isOnline);
+    this.modules.whatsappForm?.setConnectionState(isOnline);
+  }
+  
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    const register = () => {
+      navigator.serviceWorker.register(this.serviceWorkerUrl)
+        .then(registration => {
+          console.log('SW registered');
+          this.watchServiceWorkerUpdates(registration);
+        })
+        .catch(error => console.log('SW registration failed:', error));
+    };
+    
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register);
+    }
+    
+    // Reload once the new worker has taken control, but only when the visitor
+    // accepted the update; the first install also claims the page
+    let isReloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!this.isUpdating || isReloading) return;
+      isReloading = true;
+      window.location.reload();
+    });
+  }
+  
+  watchServiceWorkerUpdates(registration) {
+    // Only prompt when replacing an existing worker, not on the first install
+    if (!navigator.serviceWorker.controller) return;
+    
+    if (registration.waiting) {
+      this.showUpdatePrompt(registration.waiting);
+      return;
+    }
+    
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(worker);
+        }
+      });
+    });
+  }
+  
+  // Asked only when a sink would send data off the device; the footer
+  // "Cookies" link reopens it
+  showConsentBanner() {
+    if (this.consentBanner) return;
+    
+    this.consentBanner = DOM.create('div', {
+      className: 'consent-banner',
+      role: 'region',
+      'aria-label': I18n.t('consent.label'),
+      innerHTML: `
+        <p class="consent-banner-text">${I18n.t('consent.text')}</p>
+        <div class="consent-banner-actions">
+          <button class="update-toast-btn primary" type="button" data-consent="granted">${I18n.t('consent.accept')}</button>
+          <button class="update-toast-btn" type="button" data-consent="denied">${I18n.t('consent.decline')}</button>
+        </div>
+      `
+    });
+    
+    DOM.queryAll('[data-consent]', this.consentBanner).forEach(button => {
+      button.addEventListener('click', () => {
+        Consent.set(button.dataset.consent);
+        this.consentBanner.remove();
+        this.consentBanner = null;
+      });
+    });
+    
+    document.body.appendChild(this.consentBanner);
+  }
+  
+  showUpdatePrompt(worker) {
+    if (this.updateToast) return;
+    
+    this.updateToast = DOM.create('div', {
+      className: 'update-toast',
+      role: 'status',
+      'aria-live': 'polite',
+      innerHTML: `
+        <span class="update-toast-text">${I18n.t('updates.available')}</span>
+        <div class="update-toast-actions">
+          <button class="update-toast-btn primary" type="button" data-action="update">${I18n.t('updates.update')}</button>
+          <button class="update-toast-btn" type="button" data-action="dismiss">${I18n.t('updates.dismiss')}</button>
+        </div>
+      `
+    });
+    
+    DOM.query('[data-action="update"]', this.updateToast).addEventListener('click', (e) => {
+      e.currentTarget.disabled = true;
+      this.isUpdating = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    
+    DOM.query('[data-action="dismiss"]', this.updateToast).addEventListener('click', () => {
+      this.updateToast.remove();
+      this.updateToast = null;
+    });
+    
+    document.body.appendChild(this.updateToast);
+  }
 }
 
 // ===================================
@@ -0,0 +1,100 @@
+/**
+ * PRODGIO - WORKER DO CANVAS DO HERO
+ * Roda a rede de partículas num OffscreenCanvas, fora da thread principal.
+ * Recebe resize, visibilidade, ponteiro, cor e política de movimento via
+ * postMessage (ver HeroEffects em js/app.js).
+ */
+
+importScripts('particle-network.js');
+
+let network = null;
+let frameId = null;
+let visible = false;
+let reduced = false;
+
+// requestAnimationFrame is available to dedicated workers in most engines;
+// fall back to a ~60fps timer elsewhere
+const requestFrame = self.requestAnimationFrame
+  ? (callback) => self.requestAnimationFrame(callback)
+  : (callback) => setTimeout(callback, 16);
+const cancelFrame = self.cancelAnimationFrame
+  ? (id) => self.cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+const stop = () => {
+  if (frameId !== null) {
+    cancelFrame(frameId);
+    frameId = null;
+  }
+};
+
+// Loops only while the hero is on screen, the tab is visible and motion is allowed
+const start = () => {
+  stop();
+  if (!network) return;
+  
+  if (reduced) {
+    network.draw();
+    return;
+  }
+  
+  if (!visible) return;
+  
+  const animate = () => {
+    network.step();
+    network.draw();
+    frameId = requestFrame(animate);
+  };
+  
+  animate();
+};
+
+const handlers = {
+  init({ canvas, width, height, ratio, options, rgb }) {
+    network = new ParticleNetwork(canvas.getContext('2d'), { ...options, rgb });
+    network.resize(width, height, ratio);
+    start();
+  },
+  
+  resize({ width, height, ratio }) {
+    network.resize(width, height, ratio);
+    if (reduced || !visible) network.draw();
+  },
+  
+  visibility(data) {
+    visible = data.visible;
+    start();
+  },
+  
+  motion(data) {
+    reduced = data.reduced;
+    start();
+  },
+  
+  color({ rgb }) {
+    network.setColor(rgb);
+    if (reduced) network.draw();
+  },
+  
+  pointer({ x, y, pressed }) {
+    network.setPointer(x, y, pressed);
+  },
+  
+  pointerleave() {
+    network.clearPointer();
+  },
+  
+  destroy() {
+    stop();
+    network = null;
+    self.close();
+  }
+};
+
+self.addEventListener('message', (event) => {
+  const { type, ...data } = event.data || {};
+  
+  if (handlers[type] && (network || type === 'init')) {
+    handlers[type](data);
+  }
+});
@@ -0,0 +1,213 @@
+/**
+ * PRODGIO - REDE DE PARTÍCULAS DO HERO
+ * Simulação compartilhada entre a thread principal (js/app.js) e o worker
+ * de renderização (js/hero-worker.js)
+ */
+
+// ===================================
+// SETTINGS
+// ===================================
+
+// Override any key through window.PRODGIO_CONFIG.hero.
+// Density is particles per CSS pixel of canvas area, clamped to min/max.
+const ParticleDefaults = {
+  density: 1 / 14000,
+  minParticles: 20,
+  maxParticles: 110,
+  linkDistance: 120,
+  pointerRadius: 160,
+  pointerForce: 0.08,
+  // Hovering attracts; pressing (or touching) repels. 'repel' inverts both.
+  pointerMode: 'attract',
+  maxRatio: 2
+};
+
+// ===================================
+// PARTICLE NETWORK
+// ===================================
+
+// Canvas-only simulation: no DOM access, so it can run wherever a 2D
+// context is available. Neighbours are found through a uniform grid with
+// cells the size of the link distance, so each particle only checks the
+// 3x3 cells around it instead of every other particle.
+class ParticleNetwork {
+  constructor(ctx, options = {}) {
+    this.ctx = ctx;
+    this.options = { ...ParticleDefaults, ...options };
+    this.rgb = this.options.rgb || '209, 62, 255';
+    
+    this.particles = [];
+    this.pointer = null;
+    this.width = 0;
+    this.height = 0;
+    this.ratio = 1;
+  }
+  
+  resize(width, height, ratio = 1) {
+    const canvas = this.ctx.canvas;
+    
+    this.width = width;
+    this.height = height;
+    this.ratio = Math.min(ratio, this.options.maxRatio);
+    
+    canvas.width = Math.round(width * this.ratio);
+    canvas.height = Math.round(height * this.ratio);
+    this.ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+    
+    this.particles.forEach(particle => {
+      particle.x = Math.min(particle.x, width);
+      particle.y = Math.min(particle.y, height);
+    });
+    this.populate();
+  }
+  
+  populate() {
+    const { density, minParticles, maxParticles } = this.options;
+    const target = Math.round(Math.min(Math.max(this.width * this.height * density, minParticles), maxParticles));
+    
+    while (this.particles.length < target) {
+      this.particles.push(this.createParticle());
+    }
+    this.particles.length = target;
+  }
+  
+  createParticle() {
+    const speedX = (Math.random() - 0.5) * 0.5;
+    const speedY = (Math.random() - 0.5) * 0.5;
+    
+    return {
+      x: Math.random() * this.width,
+      y: Math.random() * this.height,
+      size: Math.random() * 2.5 + 1,
+      speedX,
+      speedY,
+      vx: speedX,
+      vy: speedY,
+      opacity: Math.random() * 0.5 + 0.2
+    };
+  }
+  
+  setColor(rgb) {
+    if (rgb) this.rgb = rgb;
+  }
+  
+  setPointer(x, y, pressed = false) {
+    this.pointer = { x, y, pressed };
+  }
+  
+  clearPointer() {
+    this.pointer = null;
+  }
+  
+  step() {
+    const { pointerRadius, pointerForce, pointerMode } = this.options;
+    const pointer = this.pointer;
+    const direction = pointer && (pointer.pressed === (pointerMode === 'attract')) ? -1 : 1;
+    
+    this.particles.forEach(particle => {
+      if (pointer) {
+        const dx = pointer.x - particle.x;
+        const dy = pointer.y - particle.y;
+        const distance = Math.hypot(dx, dy);
+        
+        if (distance > 0 && distance < pointerRadius) {
+          const force = (1 - distance / pointerRadius) * pointerForce * direction;
+          particle.vx += (dx / distance) * force;
+          particle.vy += (dy / distance) * force;
+        }
+      }
+      
+      // Ease back to the original drift once the pointer lets go
+      particle.vx += (particle.speedX - particle.vx) * 0.03;
+      particle.vy += (particle.speedY - particle.vy) * 0.03;
+      
+      particle.x += particle.vx;
+      particle.y += particle.vy;
+      
+      if (particle.x < 0 || particle.x > this.width) {
+        particle.vx *= -1;
+        particle.speedX *= -1;
+        particle.x = Math.min(Math.max(particle.x, 0), this.width);
+      }
+      if (particle.y < 0 || particle.y > this.height) {
+        particle.vy *= -1;
+        particle.speedY *= -1;
+        particle.y = Math.min(Math.max(particle.y, 0), this.height);
+      }
+    });
+  }
+  
+  buildGrid() {
+    const size = this.options.linkDistance;
+    const columns = Math.max(1, Math.ceil(this.width / size));
+    const grid = new Map();
+    
+    this.particles.forEach(particle => {
+      const key = Math.floor(particle.y / size) * columns + Math.floor(particle.x / size);
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(particle);
+    });
+    
+    return { grid, columns, size };
+  }
+  
+  draw() {
+    const ctx = this.ctx;
+    const { linkDistance } = this.options;
+    const maxDistanceSq = linkDistance * linkDistance;
+    const { grid, columns, size } = this.buildGrid();
+    
+    // Links are bucketed by opacity so each bucket is a single stroke
+    const buckets = [[], [], [], []];
+    
+    ctx.clearRect(0, 0, this.width, this.height);
+    
+    grid.forEach((cell, key) => {
+      const row = Math.floor(key / columns);
+      const column = key % columns;
+      
+      // Only look "forward" (same cell, right, and the row below) so each pair is visited once
+      [[0, 0], [0, 1], [1, -1], [1, 0], [1, 1]].forEach(([rowOffset, columnOffset]) => {
+        const neighbourColumn = column + columnOffset;
+        if (neighbourColumn < 0 || neighbourColumn >= columns) return;
+        
+        const neighbours = grid.get((row + rowOffset) * columns + neighbourColumn);
+        if (!neighbours) return;
+        
+        const sameCell = neighbours === cell;
+        
+        cell.forEach((a, i) => {
+          for (let j = sameCell ? i + 1 : 0; j < neighbours.length; j++) {
+            const b = neighbours[j];
+            const distanceSq = (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+            
+            if (distanceSq < maxDistanceSq) {
+              const strength = 1 - Math.sqrt(distanceSq) / size;
+              buckets[Math.min(buckets.length - 1, Math.floor(strength * buckets.length))].push(a, b);
+            }
+          }
+        });
+      });
+    });
+    
+    ctx.lineWidth = 1;
+    buckets.forEach((points, index) => {
+      if (!points.length) return;
+      
+      ctx.beginPath();
+      for (let i = 0; i < points.length; i += 2) {
+        ctx.moveTo(points[i].x, points[i].y);
+        ctx.lineTo(points[i + 1].x, points[i + 1].y);
+      }
+      ctx.strokeStyle = `rgba(${this.rgb}, ${((index + 1) / buckets.length) * 0.25})`;
+      ctx.stroke();
+    });
+    
+    this.particles.forEach(particle => {
+      ctx.beginPath();
+      ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${this.rgb}, ${particle.opacity})`;
+      ctx.fill();
+    });
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * PRODGIO - SERVICE WORKER
+ * Precache do app shell, cache em tempo de execução e página offline
+ */
+
+const CACHE_VERSION = 'v5';
+const PRECACHE = `prodgio-precache-${CACHE_VERSION}`;
+const RUNTIME_IMAGES = `prodgio-images-${CACHE_VERSION}`;
+const RUNTIME = `prodgio-runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = 'offline.html';
+const MAX_IMAGE_ENTRIES = 60;
+
+// App shell cached on install
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  OFFLINE_URL,
+  'css/styles.css',
+  'js/particle-network.js',
+  'js/hero-worker.js',
+  'js/app.js',
+  'data/portfolio.json',
+  'data/reviews.json',
+  'data/i18n/pt-BR.json',
+  'data/i18n/en.json',
+  'data/i18n/es.json',
+  'assets/images/logo.png',
+  'assets/images/favicon.ico',
+  'assets/images/apple-touch-icon.png',
+  'assets/images/og-image.png'
+];
+
+// ===================================
+// LIFECYCLE
+// ===================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const currentCaches = [PRECACHE, RUNTIME_IMAGES, RUNTIME];
+  
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('prodgio-') && !currentCaches.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// ===================================
+// FETCH STRATEGIES
+// ===================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, RUNTIME).catch(() => offlineFallback()));
+  } else if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_IMAGES, MAX_IMAGE_ENTRIES));
+  } else if (url.pathname.includes('/data/')) {
+    // Portfolio, reviews and catalogs change without a release; the cache is only for offline
+    event.respondWith(networkFirst(request, PRECACHE));
+  } else {
+    // Shell files are served from cache and refreshed in the background, so an
+    // edit shows up on the next visit without bumping CACHE_VERSION
+    event.respondWith(staleWhileRevalidate(request, PRECACHE));
+  }
+});
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone())
+          .then(() => maxEntries && trimCache(cacheName, maxEntries));
+      }
+      return response;
+    })
+    .catch(() => cached);
+  
+  return cached || network;
+}
+
+async function offlineFallback() {
+  const cached = await caches.match(OFFLINE_URL);
+  return cached || new Response('Você está offline.', {
+    status: 503,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+  });
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  
+  if (keys.length > maxEntries) {
+    await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+  }
+}